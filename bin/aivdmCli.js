@@ -0,0 +1,350 @@
+#!/usr/bin/env node
+var _           = require('underscore');
+var fs          = require('fs');
+var net         = require('net');
+var dgram       = require('dgram');
+var Transform   = require('stream').Transform;
+var aivdmStream = require('./aivdmDecode').aivdmStream;
+
+/**
+ * Command line AIS decoder.  Reads NMEA lines from files, stdin, a UDP port or a TCP server and writes the decoded
+ * messages to stdout.
+ *
+ * Usage:
+ *      aivdmDecode [options] [file ...]
+ *
+ *      With no files (or a file of '-') stdin is read.  Files are read one after another.
+ *      See usageText for the options.
+ */
+
+var usageText = [
+    'Usage: aivdmDecode [options] [file ...]',
+    '',
+    'Decodes AIS (!xxVDM/!xxVDO) sentences from files, stdin, UDP or TCP and writes them to stdout.',
+    'With no files and no --udp or --tcp, stdin is read.  A file of - is stdin.',
+    '',
+    'Options:',
+    '  -f, --format <format>   jsonl (one JSON object per line), json (a pretty printed array) or csv.  Default jsonl',
+    '  -t, --types <list>      Only output these message types, e.g. 1,2,3,5',
+    '  -m, --mmsi <list>       Only output messages from these MMSIs, e.g. 235012345,244913000',
+    '      --fields <list>     The csv columns.  Default type,mmsi,lat,lon,speed,course,heading,shipname,callsign',
+    '      --no-aivdm          Don\'t include the raw sentences (aivdm) in the output',
+    '      --bad-checksum      Decode sentences with a bad checksum (checksum_ok is false)',
+    '  -u, --udp <[host:]port> Listen for sentences on a UDP port',
+    '  -c, --tcp <host:port>   Connect to a TCP server and read sentences from it',
+    '  -v, --verbose           Write lines that couldn\'t be decoded to stderr',
+    '  -h, --help              Show this help'
+].join('\n');
+
+var defaultFields = ['type', 'mmsi', 'lat', 'lon', 'speed', 'course', 'heading', 'shipname', 'callsign'];
+
+/**
+ * parseArgs
+ * @param argv      The command line arguments (without node and the script)
+ * @returns {object} The options, or throws an Error with a message for the user
+ */
+function parseArgs(argv) {
+    var args = {
+        format: 'jsonl',
+        types: null,
+        mmsi: null,
+        fields: defaultFields,
+        aivdm: true,
+        badChecksum: false,
+        udp: [],
+        tcp: [],
+        verbose: false,
+        help: false,
+        files: []
+    };
+    var i = 0;
+
+    function nextValue(arg) {
+        if (i + 1 >= argv.length) {
+            throw new Error('Missing value for ' + arg);
+        }
+        i++;
+        return argv[i];
+    }
+    function numberList(arg, value) {
+        return _.map(value.split(','), function (item) {
+            var number = parseInt(item, 10);
+            if (isNaN(number)) {
+                throw new Error('Bad value for ' + arg + ': ' + item);
+            }
+            return number;
+        });
+    }
+    function address(arg, value, hostRequired) {
+        var colonPos = value.lastIndexOf(':');
+        var addr = {
+            host: colonPos === -1 ? null : value.substr(0, colonPos),
+            port: parseInt(value.substr(colonPos + 1), 10)
+        };
+        if (isNaN(addr.port) || (hostRequired && !addr.host)) {
+            throw new Error('Bad value for ' + arg + ': ' + value);
+        }
+        return addr;
+    }
+
+    for (i = 0; i < argv.length; i++) {
+        var arg = argv[i];
+
+        switch (arg) {
+            case '-f':
+            case '--format':
+                args.format = nextValue(arg);
+                if (!_.contains(['jsonl', 'json', 'csv'], args.format)) {
+                    throw new Error('Unknown format: ' + args.format);
+                }
+                break;
+            case '-t':
+            case '--types':
+                args.types = numberList(arg, nextValue(arg));
+                break;
+            case '-m':
+            case '--mmsi':
+                args.mmsi = numberList(arg, nextValue(arg));
+                break;
+            case '--fields':
+                args.fields = nextValue(arg).split(',');
+                break;
+            case '--no-aivdm':
+                args.aivdm = false;
+                break;
+            case '--bad-checksum':
+                args.badChecksum = true;
+                break;
+            case '-u':
+            case '--udp':
+                args.udp.push(address(arg, nextValue(arg), false));
+                break;
+            case '-c':
+            case '--tcp':
+                args.tcp.push(address(arg, nextValue(arg), true));
+                break;
+            case '-v':
+            case '--verbose':
+                args.verbose = true;
+                break;
+            case '-h':
+            case '--help':
+                args.help = true;
+                break;
+            default:
+                if (arg.charAt(0) === '-' && arg !== '-') {
+                    throw new Error('Unknown option: ' + arg);
+                }
+                args.files.push(arg);
+        }
+    }
+
+    if (args.files.length === 0 && args.udp.length === 0 && args.tcp.length === 0) {
+        args.files.push('-');
+    }
+    return args;
+}
+
+/**
+ * csvValue
+ * @param value     A field of a decoded message
+ * @returns {string} The value quoted as needed for a csv file.  Objects and arrays are written as JSON
+ */
+function csvValue(value) {
+    var text;
+
+    if (value === undefined || value === null) { return ''; }
+    text = typeof(value) === 'object' ? JSON.stringify(value) : String(value);
+    if (/[",\r\n]/.test(text)) {
+        text = '"' + text.replace(/"/g, '""') + '"';
+    }
+    return text;
+}
+
+/**
+ * createFormatter
+ * An object mode Transform that filters the decoded messages and writes them as text in args.format
+ * @param args  The options from parseArgs
+ * @returns {Transform}
+ */
+function createFormatter(args) {
+    var count = 0;
+
+    return new Transform({
+        writableObjectMode: true,
+        transform: function (msgData, encoding, callback) {
+            var text;
+
+            if ((args.types && !_.contains(args.types, msgData.type)) ||
+                (args.mmsi && !_.contains(args.mmsi, msgData.mmsi))) {
+                return callback();
+            }
+            if (!args.aivdm) {
+                msgData = _.omit(msgData, 'aivdm');
+            }
+
+            switch (args.format) {
+                case 'json':
+                    text = (count === 0 ? '[\n' : ',\n') + JSON.stringify(msgData, null, 2);
+                    break;
+                case 'csv':
+                    text = (count === 0 ? args.fields.join(',') + '\n' : '') +
+                        _.map(args.fields, function (field) { return csvValue(msgData[field]); }).join(',') + '\n';
+                    break;
+                default:
+                    text = JSON.stringify(msgData) + '\n';
+            }
+            count++;
+            callback(null, text);
+        },
+        flush: function (callback) {
+            if (args.format === 'json') {
+                this.push(count === 0 ? '[]\n' : '\n]\n');
+            }
+            callback();
+        }
+    });
+}
+
+/**
+ * createDecoder
+ * @param args      The options from parseArgs
+ * @param source    The name of the input, used to reassemble multi part messages from each input separately
+ * @returns {aivdmStream}
+ */
+function createDecoder(args, source) {
+    var decoder = new aivdmStream({source: source, decodeBadChecksum: args.badChecksum});
+
+    decoder.on('diagnostic', function (diagnostic) {
+        if (args.verbose) {
+            process.stderr.write(source + ': ' + diagnostic.reason + ': ' + diagnostic.line + '\n');
+        }
+    });
+    return decoder;
+}
+
+/**
+ * main
+ * Connects the inputs to the formatter.  The formatter (and so stdout) is ended when all the inputs have ended
+ * @param argv  The command line arguments (without node and the script)
+ */
+function main(argv) {
+    var args, formatter, openInputs;
+    var stopFile = null;    // Stops reading the file being read
+    var stopInputs = [];    // Functions that stop reading each UDP and TCP input
+
+    try {
+        args = parseArgs(argv);
+    } catch (err) {
+        process.stderr.write(err.message + '\n\n' + usageText + '\n');
+        process.exitCode = 2;
+        return;
+    }
+    if (args.help) {
+        process.stdout.write(usageText + '\n');
+        return;
+    }
+
+    formatter = createFormatter(args);
+    formatter.pipe(process.stdout);
+    process.stdout.on('error', function (err) {
+        // e.g. piped into head
+        if (err.code === 'EPIPE') { process.exit(0); }
+        throw err;
+    });
+    process.on('SIGINT', function () {
+        // Stop reading so the decoders end, and so the formatter finishes its output (e.g. the end of a json array)
+        args.files = [];
+        if (stopFile) { stopFile(); }
+        _.each(stopInputs, function (stop) { stop(); });
+    });
+
+    openInputs = args.files.length + args.udp.length + args.tcp.length;
+    function inputEnded() {
+        openInputs--;
+        if (openInputs === 0) { formatter.end(); }
+    }
+    function endDecoder(decoder) {
+        if (!decoder.writableEnded) { decoder.end(); }
+    }
+
+    // Files are read in turn so that the output is in the same order as the input
+    (function readFile(fileNum) {
+        var name, input, decoder;
+
+        if (fileNum >= args.files.length) { return; }
+        name = args.files[fileNum];
+        input = name === '-' ? process.stdin : fs.createReadStream(name);
+        decoder = createDecoder(args, name);
+
+        stopFile = function () {
+            input.unpipe(decoder);
+            if (input !== process.stdin) { input.destroy(); }
+            endDecoder(decoder);
+        };
+        input.on('error', function (err) {
+            process.stderr.write(name + ': ' + err.message + '\n');
+            process.exitCode = 1;
+            endDecoder(decoder);
+        });
+        decoder.on('end', function () {
+            inputEnded();
+            if (fileNum + 1 < args.files.length) {
+                readFile(fileNum + 1);
+            } else if (input === process.stdin) {
+                process.stdin.pause();
+            }
+        });
+        input.pipe(decoder).pipe(formatter, {end: false});
+    })(0);
+
+    _.each(args.udp, function (addr) {
+        var name = 'udp:' + addr.port;
+        var socket = dgram.createSocket('udp4');
+        var decoder = createDecoder(args, name);
+
+        decoder.on('end', inputEnded);
+        decoder.pipe(formatter, {end: false});
+        stopInputs.push(function () {
+            socket.close();
+            endDecoder(decoder);
+        });
+        socket.on('message', function (msg) {
+            // Each datagram holds whole lines, but the last one may not have a line break
+            decoder.write(msg);
+            if (msg[msg.length - 1] !== 0x0a) { decoder.write('\n'); }
+        });
+        socket.on('error', function (err) {
+            process.stderr.write(name + ': ' + err.message + '\n');
+            process.exitCode = 1;
+            socket.close();
+            endDecoder(decoder);
+        });
+        socket.bind(addr.port, addr.host || undefined);
+    });
+
+    _.each(args.tcp, function (addr) {
+        var name = addr.host + ':' + addr.port;
+        var socket = net.connect(addr.port, addr.host);
+        var decoder = createDecoder(args, name);
+
+        stopInputs.push(function () {
+            socket.destroy();
+            endDecoder(decoder);
+        });
+        socket.on('error', function (err) {
+            process.stderr.write(name + ': ' + err.message + '\n');
+            process.exitCode = 1;
+        });
+        // After an error the socket closes without ending
+        socket.on('close', function () { endDecoder(decoder); });
+        decoder.on('end', inputEnded);
+        socket.pipe(decoder).pipe(formatter, {end: false});
+    });
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2));
+}
+
+module.exports = { parseArgs: parseArgs, main: main };
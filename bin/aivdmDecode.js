@@ -4,9 +4,9 @@ var sprintf = require('sprintf-js').sprintf;
 
 /**
  * used to decode AIS messages.
- * Currently decodes types 1,2,3,4,5,9,18,19,21,24,27
- * Currently does not decode 6,7,8,10,11,12,13,14,15,16,17,20,22,23,25,26
- * Currently does not support the USCG Extended AIVDM messages
+ * Currently decodes types 1 to 27
+ * Accepts !xxVDM and !xxVDO sentences from any talker (AI, AB, AN, AR, AS, AT, AX, BS, SA ...)
+ * Supports NMEA 4.0 tag blocks and the USCG Extended AIVDM messages (the fields after the checksum)
  *
  * Normal usage:
  *      var decoder = new aivdmDecode.aivdmDecode(options)
@@ -24,6 +24,19 @@ var sprintf = require('sprintf-js').sprintf;
  *      returnJson:         If true then json is returned instead of a javascript object (default false)
  *      aivdmPassthrough    If true then the aivdm messages that were decoded are included with the returned object
  *                          default false
+ *      decodeBadChecksum   If true then sentences with a bad (or missing) checksum are decoded and returned with
+ *                          checksum_ok false.  If false they are rejected.  (default false)
+ *      fragmentTimeout     Milliseconds after which an incomplete multi fragment message is dropped (default 30000)
+ *      onFragmentsDropped  Optional function called with a description of each incomplete message that is dropped
+ *      pairType24          If true then type 24 Part A and Part B are returned together as one record (default false).
+ *                          Can't be used with gpsdCompat
+ *      type24Timeout       Milliseconds to wait for the other part of a type 24 when pairType24 is set (default 60000)
+ *      gpsdCompat          If true then messages are returned as the JSON that gpsdecode -j writes (default false)
+ *      gpsdDevice          The 'device' written in gpsdCompat mode, '' for none (default 'stdin', as gpsdecode)
+ *      unscaled            If true then scaled fields (lat/lon, speed, course, turn, draught) are returned as the raw
+ *                          integers, as gpsdecode -u does, and the message has scaled: false (default false)
+ *      nullNotAvailable    If true then fields holding their 'not available' value (e.g. lat 91, heading 511) are
+ *                          returned as null, with *_available flags.  Ignored in gpsdCompat mode (default false)
  */
 
 /**
@@ -51,26 +64,67 @@ var aivdmDecode = function (options) {
         //this.accept_related = options.accept_related || true;
         // isDebug.  If true, prints debug messages
         this.isDebug = options.isDebug || false;
+        // decodeBadChecksum.  If true, sentences that fail the checksum are decoded (with checksum_ok false)
+        this.decodeBadChecksum = options.decodeBadChecksum || false;
+        // fragmentTimeout.  Milliseconds to wait for the rest of a multi fragment message
+        this.fragmentTimeout = options.fragmentTimeout || 30000;
+        // onFragmentsDropped.  Called with a description of each incomplete multi fragment message that is dropped
+        this.onFragmentsDropped = options.onFragmentsDropped || null;
+        // pairType24.  If true, type 24 Part A and Part B are held until both have arrived and returned as one record
+        this.pairType24 = options.pairType24 || false;
+        // type24Timeout.  Milliseconds to hold a type 24 part waiting for the other part
+        this.type24Timeout = options.type24Timeout || 60000;
+        // gpsdCompat.  If true, returns the JSON that gpsdecode -j would write
+        this.gpsdCompat = options.gpsdCompat || false;
+        // gpsdDevice.  The device written in gpsdCompat mode
+        this.gpsdDevice = options.gpsdDevice !== undefined ? options.gpsdDevice : 'stdin';
+        // unscaled.  If true, scaled fields are returned as raw integers (as gpsdecode -u)
+        this.unscaled = options.unscaled || false;
+        // nullNotAvailable.  If true, fields that hold their 'not available' value are returned as null
+        this.nullNotAvailable = options.nullNotAvailable || false;
     } else {
         this.returnJson = false;
         this.aivdmPassthrough = true;
         this.includeMID = true;
         this.isDebug = false;
+        this.decodeBadChecksum = false;
+        this.fragmentTimeout = 30000;
+        this.onFragmentsDropped = null;
+        this.pairType24 = false;
+        this.type24Timeout = 60000;
+        this.gpsdCompat = false;
+        this.gpsdDevice = 'stdin';
+        this.unscaled = false;
+        this.nullNotAvailable = false;
+    }
+    // gpsdecode writes each part of a type 24 on its own, so there's no gpsd form of a paired record
+    if (this.pairType24 && this.gpsdCompat) {
+        throw new Error('aivdmDecode: the pairType24 and gpsdCompat options can\'t be used together');
     }
 
     this.AIVDM = '';
-    this.splitParts = [];   // Contains aivdm's of multi part messages
-    this.splitPart1Sequence = null;
-    this.splitPart1Type = null;
+    this.talker = '';       // Talker ID of the last sentence, e.g. 'AI' or 'BS'
+    this.ownShip = false;   // true if the last sentence was a VDO (own ship) report
+    this.lastError = null;  // Why decode() last returned false, or null if it was waiting for more fragments
+    this.fragmentGroups = {};   // Multi part messages being reassembled, keyed by fragmentKey()
+    this.maxFragments = 9;
+    this.type24Parts = {};      // Type 24 parts waiting for their other part, keyed by mmsi (see pairType24Parts)
     this.splitLines = [];   // contains untrimmed lines of multi part messages
+    this.tagBlock = null;       // NMEA 4.0 tag block of the last line (see parseTagBlock)
+    this.splitTagBlock = null;  // The tag blocks of all the lines of the current message, merged
+    this.uscg = null;           // USCG extended fields of the last line (see parseUscgFields)
+    this.splitUscg = null;      // The USCG extended fields of all the lines of the current message, merged
     this.numFragments = null;
     this.fragmentNum = null;
     this.seqMsgId = '';
+    this.fillBits = 0;
+    this.checksumOk = true;         // Checksum result of the last sentence
+    this.splitChecksumOk = true;    // Checksum result of all the sentences of the current message
     this.binString = '';
     this.partNo = null;
     this.channel = null;
     this.msgType = null;
-    this.supportedTypes = [1,2,3,4,5,9,18,19,21,24,27];
+    this.supportedTypes = [1,2,3,4,5,6,7,8,9,10,11,12,13,14,15,16,17,18,19,20,21,22,23,24,25,26,27];
     this.char_table = [
         /*
          4th line would normally be:
@@ -85,6 +139,13 @@ var aivdmDecode = function (options) {
         '-', '(', ')', '-', '-', '-', '-', '.', '-', '0', '1', '2', '3', '4', '5', '6', '7', '8', '9', '-', '-', '<',
         '-', '>', '-'
     ];
+    // The full ITU six bit ascii table.  Used for free text (types 12 and 14) where punctuation matters
+    this.sixbit_ascii_table = [
+        '@', 'A', 'B', 'C', 'D', 'E', 'F', 'G', 'H', 'I', 'J', 'K', 'L', 'M', 'N', 'O', 'P',
+        'Q', 'R', 'S', 'T', 'U', 'V', 'W', 'X', 'Y', 'Z', '[', '\\', ']', '^', '_', ' ', '!', '"', '#', '$', '%', '&',
+        '\'', '(', ')', '*', '+', ',', '-', '.', '/', '0', '1', '2', '3', '4', '5', '6', '7', '8', '9', ':', ';', '<',
+        '=', '>', '?'
+    ];
     this.posGroups = {
         1: {'lat': {'start': 89, 'length': 27, 'divisor': 600000.0},
             'lon': {'start': 61, 'length': 28, 'divisor': 600000.0}},
@@ -96,6 +157,8 @@ var aivdmDecode = function (options) {
             'lon': {'start': 79, 'length': 28, 'divisor': 600000.0}},
         9: {'lat': {'start': 89, 'length': 27, 'divisor': 600000.0},
             'lon': {'start': 61, 'length': 28, 'divisor': 600000.0}},
+        11: {'lat': {'start': 107, 'length': 27, 'divisor': 600000.0},
+            'lon': {'start': 79, 'length': 28, 'divisor': 600000.0}},
         18: {'lat': {'start': 85, 'length': 27, 'divisor': 600000.0},
             'lon': {'start': 57, 'length': 28, 'divisor': 600000.0}},
         19: {'lat': {'start': 85, 'length': 27, 'divisor': 600000.0},
@@ -148,6 +211,202 @@ var aivdmDecode = function (options) {
         'Surveyed',
         'Galileo'
     ];
+    this.aidTypeText = [
+        'Unspecified',
+        'Reference point',
+        'RACON',
+        'Fixed offshore structure',
+        'Spare, Reserved for future use.',
+        'Light, without sectors',
+        'Light, with sectors',
+        'Leading Light Front',
+        'Leading Light Rear',
+        'Beacon, Cardinal N',
+        'Beacon, Cardinal E',
+        'Beacon, Cardinal S',
+        'Beacon, Cardinal W',
+        'Beacon, Port hand',
+        'Beacon, Starboard hand',
+        'Beacon, Preferred Channel port hand',
+        'Beacon, Preferred Channel starboard hand',
+        'Beacon, Isolated danger',
+        'Beacon, Safe water',
+        'Beacon, Special mark',
+        'Cardinal Mark N',
+        'Cardinal Mark E',
+        'Cardinal Mark S',
+        'Cardinal Mark W',
+        'Port hand Mark',
+        'Starboard hand Mark',
+        'Preferred Channel Port hand',
+        'Preferred Channel Starboard hand',
+        'Isolated danger',
+        'Safe Water',
+        'Special Mark',
+        'Light Vessel / LANBY / Rigs'
+    ];
+    this.syncStateText = [
+        'UTC direct',
+        'UTC indirect',
+        'Synchronized to a base station',
+        'Synchronized to another station'
+    ];
+    this.trendText = [
+        'Steady',
+        'Decreasing',
+        'Increasing',
+        'Not available'
+    ];
+    this.precipText = [
+        'Reserved',
+        'Rain',
+        'Thunderstorm',
+        'Freezing rain',
+        'Mixed/ice',
+        'Snow',
+        'Reserved',
+        'Not available'
+    ];
+    this.subareaShapes = ['circle', 'rectangle', 'sector', 'polyline', 'polygon', 'text', 'reserved', 'reserved'];
+    this.subareaScale = [1, 10, 100, 1000];
+    this.areaNoticeText = {
+        0: "Caution Area: Marine mammals habitat",
+        1: "Caution Area: Marine mammals in area - reduce speed",
+        2: "Caution Area: Marine mammals in area - stay clear",
+        3: "Caution Area: Marine mammals in area - report sightings",
+        4: "Caution Area: Protected habitat - reduce speed",
+        5: "Caution Area: Protected habitat - stay clear",
+        6: "Caution Area: Protected habitat - no fishing or anchoring",
+        7: "Caution Area: Derelicts (drifting objects)",
+        8: "Caution Area: Traffic congestion",
+        9: "Caution Area: Marine event",
+        10: "Caution Area: Divers down",
+        11: "Caution Area: Swim area",
+        12: "Caution Area: Dredge operations",
+        13: "Caution Area: Survey operations",
+        14: "Caution Area: Underwater operation",
+        15: "Caution Area: Seaplane operations",
+        16: "Caution Area: Fishery - nets in water",
+        17: "Caution Area: Cluster of fishing vessels",
+        18: "Caution Area: Fairway closed",
+        19: "Caution Area: Harbour closed",
+        20: "Caution Area: Risk (define in associated text field)",
+        21: "Caution Area: Underwater vehicle operation",
+        23: "Environmental Caution Area: Storm front (line squall)",
+        24: "Environmental Caution Area: Hazardous sea ice",
+        25: "Environmental Caution Area: Storm warning (storm cell or line of storms)",
+        26: "Environmental Caution Area: High wind",
+        27: "Environmental Caution Area: High waves",
+        28: "Environmental Caution Area: Restricted visibility (fog, rain, etc.)",
+        29: "Environmental Caution Area: Strong currents",
+        30: "Environmental Caution Area: Heavy icing",
+        32: "Restricted Area: Fishing prohibited",
+        33: "Restricted Area: No anchoring",
+        34: "Restricted Area: Entry approval required prior to transit",
+        35: "Restricted Area: Entry prohibited",
+        36: "Restricted Area: Active military OPAREA",
+        37: "Restricted Area: Firing - danger area",
+        38: "Restricted Area: Drifting Mines",
+        40: "Anchorage Area: Anchorage open",
+        41: "Anchorage Area: Anchorage closed",
+        42: "Anchorage Area: Anchoring prohibited",
+        43: "Anchorage Area: Deep draft anchorage",
+        44: "Anchorage Area: Shallow draft anchorage",
+        45: "Anchorage Area: Vessel transfer operations",
+        56: "Security Alert - Level 1",
+        57: "Security Alert - Level 2",
+        58: "Security Alert - Level 3",
+        64: "Distress Area: Vessel disabled and adrift",
+        65: "Distress Area: Vessel sinking",
+        66: "Distress Area: Vessel abandoning ship",
+        67: "Distress Area: Vessel requests medical assistance",
+        68: "Distress Area: Vessel flooding",
+        69: "Distress Area: Vessel fire/explosion",
+        70: "Distress Area: Vessel grounding",
+        71: "Distress Area: Vessel collision",
+        72: "Distress Area: Vessel listing/capsizing",
+        73: "Distress Area: Vessel under assault",
+        74: "Distress Area: Person overboard",
+        75: "Distress Area: SAR area",
+        76: "Distress Area: Pollution response area",
+        80: "Instruction: Contact VTS at this point/juncture",
+        81: "Instruction: Contact Port Administration at this point/juncture",
+        82: "Instruction: Do not proceed beyond this point/juncture",
+        83: "Instruction: Await instructions prior to proceeding beyond this point/juncture",
+        84: "Proceed to this location - await instructions",
+        85: "Clearance granted - proceed to berth",
+        88: "Information: Pilot boarding position",
+        89: "Information: Icebreaker waiting area",
+        90: "Information: Places of refuge",
+        91: "Information: Position of icebreakers",
+        92: "Information: Location of response units",
+        93: "VTS active target",
+        94: "Rogue or suspicious vessel",
+        95: "Vessel requesting non-distress assistance",
+        96: "Chart Feature: Sunken vessel",
+        97: "Chart Feature: Submerged object",
+        98: "Chart Feature: Semi-submerged object",
+        99: "Chart Feature: Shoal area",
+        100: "Chart Feature: Shoal area due north",
+        101: "Chart Feature: Shoal area due east",
+        102: "Chart Feature: Shoal area due south",
+        103: "Chart Feature: Shoal area due west",
+        104: "Chart Feature: Channel obstruction",
+        105: "Chart Feature: Reduced vertical clearance",
+        106: "Chart Feature: Bridge closed",
+        107: "Chart Feature: Bridge partially open",
+        108: "Chart Feature: Bridge fully open",
+        112: "Report from ship: Icing info",
+        114: "Report from ship: Miscellaneous information - define in associated text field",
+        120: "Route: Recommended route",
+        121: "Route: Alternative route",
+        122: "Route: Recommended route through ice",
+        125: "Other - Define in associated text field",
+        126: "Cancellation - cancel area as identified by Message Linkage ID",
+        127: "Undefined (default)"
+    };
+    this.stationtypeText = [
+        'All types of mobiles',
+        'Reserved for future use',
+        'All types of Class B mobile stations',
+        'SAR airborne mobile station',
+        'Aid to Navigation station',
+        'Class B shipborne mobile station (IEC62287 only)',
+        'Regional use and inland waterways',
+        'Regional use and inland waterways',
+        'Regional use and inland waterways',
+        'Regional use and inland waterways',
+        'Reserved for future use',
+        'Reserved for future use',
+        'Reserved for future use',
+        'Reserved for future use',
+        'Reserved for future use',
+        'Reserved for future use'
+    ];
+    this.txrxText = [
+        'TxA/TxB, RxA/RxB',
+        'TxA, RxA/RxB',
+        'TxB, RxA/RxB',
+        'Reserved for future use'
+    ];
+    this.intervalText = [
+        'As given by the autonomous mode',
+        '10 Minutes',
+        '6 Minutes',
+        '3 Minutes',
+        '1 Minute',
+        '30 Seconds',
+        '15 Seconds',
+        '10 Seconds',
+        '5 Seconds',
+        'Next Shorter Reporting Interval',
+        'Next Longer Reporting Interval',
+        'Reserved for future use',
+        'Reserved for future use',
+        'Reserved for future use',
+        'Reserved for future use',
+        'Reserved for future use'
+    ];
     this.shiptypeText = [
         "Not available",
         "Reserved for future use",
@@ -250,6 +509,170 @@ var aivdmDecode = function (options) {
         "Other Type - Reserved for future use",
         "Other Type - no additional information"
     ];
+    /**
+     * ERI (inland) ship types as used by inland AIS (dac 200, fid 10) and their equivalent
+     * shiptype (see this.shiptypeText)
+     */
+    this.eriShiptypeText = {
+        8000: "Vessel, type unknown",
+        8010: "Motor freighter",
+        8020: "Motor tanker",
+        8021: "Motor tanker, liquid cargo, type N",
+        8022: "Motor tanker, liquid cargo, type C",
+        8023: "Motor tanker, dry cargo as if liquid (e.g. cement)",
+        8030: "Container vessel",
+        8040: "Gas tanker",
+        8050: "Motor freighter, tug",
+        8060: "Motor tanker, tug",
+        8070: "Motor freighter with one or more ships alongside",
+        8080: "Motor freighter with tanker",
+        8090: "Motor freighter pushing one or more freighters",
+        8100: "Motor freighter pushing at least one tank-ship",
+        8110: "Tug, freighter",
+        8120: "Tug, tanker",
+        8130: "Tug freighter, coupled",
+        8140: "Tug, freighter/tanker, coupled",
+        8150: "Freightbarge",
+        8160: "Tankbarge",
+        8161: "Tankbarge, liquid cargo, type N",
+        8162: "Tankbarge, liquid cargo, type C",
+        8163: "Tankbarge, dry cargo as if liquid (e.g. cement)",
+        8170: "Freightbarge with containers",
+        8180: "Tankbarge, gas",
+        8210: "Pushtow, one cargo barge",
+        8220: "Pushtow, two cargo barges",
+        8230: "Pushtow, three cargo barges",
+        8240: "Pushtow, four cargo barges",
+        8250: "Pushtow, five cargo barges",
+        8260: "Pushtow, six cargo barges",
+        8270: "Pushtow, seven cargo barges",
+        8280: "Pushtow, eight cargo barges",
+        8290: "Pushtow, nine or more barges",
+        8310: "Pushtow, one tank/gas barge",
+        8320: "Pushtow, two barges at least one tanker or gas barge",
+        8330: "Pushtow, three barges at least one tanker or gas barge",
+        8340: "Pushtow, four barges at least one tanker or gas barge",
+        8350: "Pushtow, five barges at least one tanker or gas barge",
+        8360: "Pushtow, six barges at least one tanker or gas barge",
+        8370: "Pushtow, seven barges at least one tanker or gas barge",
+        8380: "Pushtow, eight barges at least one tanker or gas barge",
+        8390: "Pushtow, nine or more barges at least one tanker or gas barge",
+        8400: "Tug, single",
+        8410: "Tug, one or more tows",
+        8420: "Tug, assisting a vessel or linked combination",
+        8430: "Pushboat, single",
+        8440: "Passenger ship, ferry, cruise ship, red cross ship",
+        8441: "Ferry",
+        8442: "Red cross ship",
+        8443: "Cruise ship",
+        8444: "Passenger ship without accommodation",
+        8450: "Service vessel, police patrol, port service",
+        8460: "Vessel, work maintenance craft, floating derrick, cable-ship, buoy-ship, dredge",
+        8470: "Object, towed, not otherwise specified",
+        8480: "Fishing boat",
+        8490: "Bunkership",
+        8500: "Barge, tanker, chemical",
+        8510: "Object, not otherwise specified",
+        1500: "General cargo Vessel maritime",
+        1510: "Unit carrier maritime",
+        1520: "Bulk carrier maritime",
+        1530: "Tanker",
+        1540: "Liquified gas tanker",
+        1850: "Pleasure craft, longer than 20 metres",
+        1900: "Fast ship",
+        1910: "Hydrofoil",
+        1920: "Catamaran fast"
+    };
+    this.eriShiptypeMap = {
+        8000: 99,
+        8010: 79,
+        8020: 89,
+        8021: 80,
+        8022: 80,
+        8023: 89,
+        8030: 79,
+        8040: 80,
+        8050: 79,
+        8060: 89,
+        8070: 79,
+        8080: 89,
+        8090: 79,
+        8100: 89,
+        8110: 79,
+        8120: 89,
+        8130: 31,
+        8140: 31,
+        8150: 99,
+        8160: 99,
+        8161: 90,
+        8162: 90,
+        8163: 99,
+        8170: 99,
+        8180: 90,
+        8210: 79,
+        8220: 79,
+        8230: 79,
+        8240: 79,
+        8250: 79,
+        8260: 79,
+        8270: 79,
+        8280: 79,
+        8290: 79,
+        8310: 80,
+        8320: 80,
+        8330: 80,
+        8340: 80,
+        8350: 80,
+        8360: 80,
+        8370: 80,
+        8380: 80,
+        8390: 80,
+        8400: 52,
+        8410: 31,
+        8420: 31,
+        8430: 99,
+        8440: 69,
+        8441: 69,
+        8442: 58,
+        8443: 69,
+        8444: 69,
+        8450: 99,
+        8460: 33,
+        8470: 99,
+        8480: 30,
+        8490: 99,
+        8500: 80,
+        8510: 99,
+        1500: 79,
+        1510: 79,
+        1520: 79,
+        1530: 80,
+        1540: 80,
+        1850: 37,
+        1900: 49,
+        1910: 49,
+        1920: 49
+    };
+    this.hazardText = [
+        '0 blue cones/lights',
+        '1 blue cone/light',
+        '2 blue cones/lights',
+        '3 blue cones/lights',
+        'B-Flag',
+        'Unknown'
+    ];
+    this.loadedText = [
+        'Not available',
+        'Loaded',
+        'Unloaded',
+        'Not used'
+    ];
+    this.lockStatusText = [
+        'Operational',
+        'Limited operation',
+        'Out of order',
+        'Not available'
+    ];
     this.midTable = {
         202: "Andorra (Principality of)",
         203: "Austria",
@@ -585,14 +1008,175 @@ var aivdmDecode = function (options) {
         "year":             "getYear"
     };
     /**
-     * Type 6 and 8  (Binary addressed message and Binary broadcast message) contain lat/lon in some of their subtypes.
-     * These messages are evidently only used in the St Lawrence seaway, the USG PAWSS system and the Port Authority of
-     * london and aren't implemented in this code
-     *
-     * Type 17 is the Differential correction message type and is not implemented in this code
-     * Type 22 is a channel management message and is not implemented in this code
-     * Type 23 is a Group assignment message and is not implemented in this code
+     * gpsdFields:  The fields that gpsdecode -j writes for each message type, in its order, as 'field:format'.
+     * Formats are u (integer), s (string), q (number as a string), b (boolean), turn (see gpsdJson), f1/f2/f4
+     * (scaled, with 1, 2 or 4 decimal places.  Written as integers when unscaled), t (a string, or an integer when
+     * unscaled) and j (JSON that is written as it is).
+     * Types 22 and 24 have variants, see gpsdJson.  The binary applications that gpsd decodes are keyed by
+     * 'type_dac_fid' and written in place of data, see gpsdBinaryValues
+     */
+    this.gpsdFields = {
+        1: 'status:q status_text:s turn:turn speed:f1 accuracy:b lon:f4 lat:f4 course:f1 heading:u second:u ' +
+            'maneuver:u raim:b radio:u',
+        4: 'timestamp:s accuracy:b lon:f4 lat:f4 epfd:u epfd_text:s raim:b radio:u',
+        5: 'imo:u ais_version:u callsign:s shipname:s shiptype:u shiptype_text:s to_bow:u to_stern:u to_port:u ' +
+            'to_starboard:u epfd:u epfd_text:s eta:s draught:f1 destination:s dte:u',
+        6: 'seqno:u dest_mmsi:u retransmit:b dac:u fid:u data:s',
+        7: 'mmsi1:u mmsi2:u mmsi3:u mmsi4:u',
+        8: 'dac:u fid:u data:s',
+        9: 'alt:u speed:u accuracy:b lon:f4 lat:f4 course:f1 second:u regional:u dte:u raim:b radio:u',
+        10: 'dest_mmsi:u',
+        12: 'seqno:u dest_mmsi:u retransmit:b text:s',
+        14: 'text:s',
+        15: 'mmsi1:u type1_1:u offset1_1:u type1_2:u offset1_2:u mmsi2:u type2_1:u offset2_1:u',
+        16: 'mmsi1:u offset1:u increment1:u mmsi2:u offset2:u increment2:u',
+        17: 'lon:f1 lat:f1 data:s',
+        18: 'reserved:u speed:f1 accuracy:b lon:f4 lat:f4 course:f1 heading:u second:u regional:u cs:b display:b ' +
+            'dsc:b band:b msg22:b raim:b radio:u',
+        19: 'reserved:u speed:f1 accuracy:b lon:f4 lat:f4 course:f1 heading:u second:u regional:u shipname:s ' +
+            'shiptype:u shiptype_text:s to_bow:u to_stern:u to_port:u to_starboard:u epfd:u epfd_text:s raim:b ' +
+            'dte:u assigned:b',
+        20: 'offset1:u number1:u timeout1:u increment1:u offset2:u number2:u timeout2:u increment2:u ' +
+            'offset3:u number3:u timeout3:u increment3:u offset4:u number4:u timeout4:u increment4:u',
+        21: 'aid_type:u aid_type_text:s name:s lon:f4 lat:f4 accuracy:b to_bow:u to_stern:u to_port:u ' +
+            'to_starboard:u epfd:u epfd_text:s second:u regional:u off_position:b raim:b virtual_aid:b',
+        22: 'channel_a:u channel_b:u txrx:u power:b',
+        '22_addressed': 'dest1:u dest2:u',
+        '22_broadcast': 'ne_lon:f4 ne_lat:f4 sw_lon:f4 sw_lat:f4',
+        '22_end': 'addressed:b band_a:b band_b:b zonesize:u',
+        23: 'ne_lon:f4 ne_lat:f4 sw_lon:f4 sw_lat:f4 stationtype:u stationtype_text:s shiptype:u shiptype_text:s ' +
+            'interval:u quiet:u',
+        '24_A': 'part:s shipname:s',
+        '24_B': 'part:s shiptype:u shiptype_text:s vendorid:s model:u serial:u callsign:s',
+        '24_auxiliary': 'mothership_mmsi:u',
+        '24_dimensions': 'to_bow:u to_stern:u to_port:u to_starboard:u',
+        25: 'addressed:b structured:b dest_mmsi:u app_id:u data:s',
+        26: 'addressed:b structured:b dest_mmsi:u app_id:u data:s radio:u',
+        27: 'status:q status_text:s accuracy:b lon:f4 lat:f4 speed:u course:u raim:b gnss:b',
+        '6_200_21': 'country:s locode:s section:s terminal:s hectometre:s eta:s tugs:u airdraught:u',
+        '6_200_22': 'country:s locode:s section:s terminal:s hectometre:s rta:s status:u status_text:s',
+        '8_1_22': 'linkage:u notice:u notice_text:s month:u day:u hour:u minute:u duration:u subareas:j',
+        '8_1_31': 'lon:f4 lat:f4 accuracy:b timestamp:s wspeed:u wgust:u wdir:u wgustdir:u humidity:u airtemp:f1 ' +
+            'dewpoint:f1 pressure:u pressuretend:t visgreater:b visibility:f1 waterlevel:f1 leveltrend:t cspeed:f1 ' +
+            'cdir:u cspeed2:f1 cdir2:u cdepth2:u cspeed3:f1 cdir3:u cdepth3:u waveheight:f1 waveperiod:u wavedir:u ' +
+            'swellheight:f1 swellperiod:u swelldir:u seastate:u watertemp:f1 preciptype:t salinity:f1 ice:t',
+        '8_200_10': 'vin:s length:f1 beam:f1 shiptype:u shiptype_text:s hazard:u hazard_text:s draught:f2 loaded:u ' +
+            'loaded_text:s speed_q:b course_q:b heading_q:b',
+        '8_200_24': 'country:s gauges:j',
+        '8_200_55': 'crew:u passengers:u personnel:u',
+        gauge: 'id:u level:f2',
+        subarea_0: 'shape:u shape_text:s lon:f4 lat:f4 precision:u radius:u',
+        subarea_1: 'shape:u shape_text:s lon:f4 lat:f4 precision:u east:u north:u orientation:u',
+        subarea_2: 'shape:u shape_text:s lon:f4 lat:f4 precision:u radius:u left:u right:u',
+        subarea_3: 'shape:u shape_text:s angle0:u dist0:u angle1:u dist1:u angle2:u dist2:u angle3:u dist3:u',
+        subarea_5: 'shape:u shape_text:s text:s',
+        subarea_6: 'shape:u shape_text:s'
+    };
+    /**
+     * gpsdText:  The texts that gpsd writes for the binary applications, where they differ from the decoder's
+     */
+    this.gpsdText = {
+        trend: ['steady', 'decreasing', 'increasing', 'N/A'],
+        precip: ['reserved', 'rain', 'thunderstorm', 'freezing rain', 'mixed/ice', 'snow', 'reserved', 'N/A'],
+        ice: ['no', 'yes', '(reserved)', 'N/A'],
+        hazard: ['0 blue cone', '1 blue cone', '2 blue cones', '3 blue cones', '4 B-Flag', 'Unknown', 'Unknown',
+            'Unknown'],
+        loaded: ['N/A', 'Unloaded', 'Loaded', 'Do not use'],
+        lockStatus: ['operational', 'limited operation', 'out of order', 'N/A'],
+        shape: ['Circle or point', 'Rectangle', 'Sector', 'Polyline', 'Polygon', 'Associated text', 'Reserved',
+            'Reserved']
+    };
+    /**
+     * headerFields:  The fields that every decoded message has, before those of its type (see getData).
+     * tag_block and uscg are only present when the sentences have them, scaled (false) only with the unscaled option
+     */
+    this.headerFields = 'numFragments fragmentNum type repeat mmsi mid seqMsgId checksum_ok talker own_ship aivdm ' +
+        'tag_block? uscg? scaled?';
+    /**
+     * capabilities:  The name of each message type and the fields that its decoded object has after headerFields.
+     * Fields ending in ? are only present in some messages of the type (e.g. the second station of a type 15).
+     * Types with 'like' have the same fields as that type.  The fields added by the binary decoders of types 6
+     * and 8 are not listed.  The *_available flags are only present when nullNotAvailable is set, and class_b on a
+     * type 5 only when it is a type 24 Part A and Part B paired by pairType24.  See getCapabilities
+     */
+    this.capabilities = {
+        1: {name: 'Position Report Class A',
+            fields: 'status status_text turn speed accuracy lon lat course heading second maneuver maneuver_text ' +
+                'spare raim radio commstate position_available? speed_available? speed_or_higher? turn_available? ' +
+                'course_available? heading_available? second_available?'},
+        2: {name: 'Position Report Class A (Assigned schedule)', like: 1},
+        3: {name: 'Position Report Class A (Response to interrogation)', like: 1},
+        4: {name: 'Base Station Report',
+            fields: 'year month day hour minute second accuracy lon lat epfd epfd_text spare raim radio commstate ' +
+                'position_available? second_available?'},
+        5: {name: 'Static and Voyage Related Data',
+            fields: 'ais_version imo callsign shipname shiptype shiptype_text to_bow to_stern to_port to_starboard ' +
+                'epfd eta epfd_text month day hour minute draught destination dte spare eta_available? ' +
+                'draught_available? class_b?'},
+        6: {name: 'Binary Addressed Message',
+            fields: 'seqno dest_mmsi retransmit spare dac fid data bitlen'},
+        7: {name: 'Binary Acknowledge', fields: 'spare acks'},
+        8: {name: 'Binary Broadcast Message', fields: 'spare dac fid data bitlen'},
+        9: {name: 'Standard SAR Aircraft Position Report',
+            fields: 'alt speed accuracy lon lat course second regional dte spare assigned raim radio commstate ' +
+                'position_available? speed_available? speed_or_higher? alt_available? alt_or_higher? ' +
+                'course_available? second_available?'},
+        10: {name: 'UTC and Date Inquiry', fields: 'spare dest_mmsi spare2'},
+        11: {name: 'UTC and Date Response', like: 4},
+        12: {name: 'Addressed Safety Related Message', fields: 'seqno dest_mmsi retransmit spare text'},
+        13: {name: 'Safety Related Acknowledgement', like: 7},
+        14: {name: 'Safety Related Broadcast Message', fields: 'spare text'},
+        15: {name: 'Interrogation',
+            fields: 'spare mmsi1 type1_1 offset1_1 spare2? type1_2? offset1_2? spare3? mmsi2? type2_1? offset2_1? ' +
+                'spare4?'},
+        16: {name: 'Assignment Mode Command',
+            fields: 'spare mmsi1 offset1 increment1 mmsi2? offset2? increment2? spare2?'},
+        17: {name: 'DGNSS Broadcast Binary Message', fields: 'spare lon lat spare2 data bitlen rtcm?'},
+        18: {name: 'Standard Class B CS Position Report',
+            fields: 'reserved speed accuracy lon lat course heading second regional cs display dsc band msg22 ' +
+                'assigned raim radio commstate position_available? speed_available? speed_or_higher? ' +
+                'course_available? heading_available? second_available?'},
+        19: {name: 'Extended Class B Equipment Position Report',
+            fields: 'reserved speed accuracy lon lat course heading second regional shipname shiptype ' +
+                'shiptype_text to_bow to_stern to_port to_starboard epfd epfd_text raim dte assigned spare ' +
+                'position_available? speed_available? speed_or_higher? course_available? heading_available? ' +
+                'second_available?'},
+        20: {name: 'Data Link Management Message',
+            fields: 'spare offset1 number1 timeout1 increment1 offset2? number2? timeout2? increment2? offset3? ' +
+                'number3? timeout3? increment3? offset4? number4? timeout4? increment4?'},
+        21: {name: 'Aid-to-Navigation Report',
+            fields: 'aid_type aid_type_text name accuracy lon lat to_bow to_stern to_port to_starboard epfd ' +
+                'epfd_text second off_position regional raim virtual_aid assigned spare position_available? ' +
+                'second_available?'},
+        22: {name: 'Channel Management',
+            fields: 'spare channel_a channel_b txrx txrx_text power addressed dest1? dest2? ne_lon? ne_lat? sw_lon? ' +
+                'sw_lat? band_a band_b zonesize spare2'},
+        23: {name: 'Group Assignment Command',
+            fields: 'spare ne_lon ne_lat sw_lon sw_lat stationtype stationtype_text shiptype shiptype_text txrx ' +
+                'txrx_text interval interval_text quiet spare2 spare3'},
+        24: {name: 'Static Data Report',
+            fields: 'partno? part? shipname? shiptype? shiptype_text? callsign? vendorid? model? serial? ' +
+                'mothership_mmsi? to_bow? to_stern? to_port? to_starboard? spare?'},
+        25: {name: 'Single Slot Binary Message',
+            fields: 'addressed structured dest_mmsi? dac? fid? data bitlen'},
+        26: {name: 'Multiple Slot Binary Message',
+            fields: 'addressed structured dest_mmsi? dac? fid? data bitlen radio commstate'},
+        27: {name: 'Position Report For Long-Range Applications',
+            fields: 'accuracy raim status status_text lon lat speed course gnss spare position_available? ' +
+                'speed_available? course_available?'}
+    };
+    /**
+     * binaryDecoders:  Application specific decoders for the data part of type 6 and 8 messages, keyed by
+     * message type and then by 'dac:fid'.  Use registerBinaryDecoder() to add to it.
      */
+    this.binaryDecoders = {6: {}, 8: {}};
+    this.registerBinaryDecoder(1, 22, this.fill_dac1_fid22);
+    this.registerBinaryDecoder(1, 31, this.fill_dac1_fid31, [8]);
+    this.registerBinaryDecoder(200, 10, this.fill_dac200_fid10, [8]);
+    this.registerBinaryDecoder(200, 21, this.fill_dac200_fid21, [6]);
+    this.registerBinaryDecoder(200, 22, this.fill_dac200_fid22, [6]);
+    this.registerBinaryDecoder(200, 24, this.fill_dac200_fid24, [8]);
+    this.registerBinaryDecoder(200, 55, this.fill_dac200_fid55, [8]);
 };
 
 /** Loads required attributes from AIVDM message for retrieval by other methods
@@ -621,11 +1205,21 @@ aivdmDecode.prototype = {
             numFragments: this.numFragments,
             fragmentNum: this.fragmentNum,
             type: this.getType(),
+            repeat: this.getBits(6, 2),
             mmsi: this.getMMSI(),
             mid: this.getMid(),
             seqMsgId: this.getSeqMsgId(),
+            checksum_ok: this.splitChecksumOk,
+            talker: this.talker,
+            own_ship: this.ownShip,
             aivdm: this.splitLines
         };
+        if (this.splitTagBlock) {
+            lineData.tag_block = this.splitTagBlock;
+        }
+        if (this.splitUscg) {
+            lineData.uscg = this.splitUscg;
+        }
 
         return this.msgTypeSwitcher(line, lineData);
     },
@@ -647,23 +1241,61 @@ aivdmDecode.prototype = {
                 lineData = this.fill_1_2_3(line, lineData);
                 break;
             case 4:
+            case 11:
                 lineData = this.fill_4(line, lineData);
                 break;
             case 5:
                 lineData = this.fill_5(line, lineData);
                 break;
+            case 6:
+                lineData = this.fill_6(line, lineData);
+                break;
+            case 7:
+            case 13:
+                lineData = this.fill_7_13(line, lineData);
+                break;
+            case 8:
+                lineData = this.fill_8(line, lineData);
+                break;
             case 9:
                 lineData = this.fill_9(line, lineData);
                 break;
+            case 10:
+                lineData = this.fill_10(line, lineData);
+                break;
+            case 12:
+                lineData = this.fill_12(line, lineData);
+                break;
+            case 14:
+                lineData = this.fill_14(line, lineData);
+                break;
+            case 15:
+                lineData = this.fill_15(line, lineData);
+                break;
+            case 16:
+                lineData = this.fill_16(line, lineData);
+                break;
+            case 17:
+                lineData = this.fill_17(line, lineData);
+                break;
             case 18:
                 lineData = this.fill_18(line, lineData);
                 break;
             case 19:
                 lineData = this.fill_19(line, lineData);
                 break;
+            case 20:
+                lineData = this.fill_20(line, lineData);
+                break;
             case 21:
                 lineData = this.fill_21(line, lineData);
                 break;
+            case 22:
+                lineData = this.fill_22(line, lineData);
+                break;
+            case 23:
+                lineData = this.fill_23(line, lineData);
+                break;
             case 24:
                 lineData.partno = this.getPartno();
                 if (lineData.partno === 'A') {
@@ -671,46 +1303,37 @@ aivdmDecode.prototype = {
                 } else if (lineData.partno === 'B') {
                     lineData = this.fill_24_1(line, lineData);
                 }
+                if (this.pairType24 && (lineData.partno === 'A' || lineData.partno === 'B')) {
+                    lineData = this.pairType24Parts(lineData);
+                }
                 break;
             case 27:
                 lineData = this.fill_27(line, lineData);
                 break;
 
-            // unimplemented message types
-            case 6:
-            case 7:
-            case 8:
-            case 10:
-            case 11:
-            case 12:
-            case 13:
-            case 14:
-            case 15:
-            case 16:
-            case 17:
-            case 20:
-            case 22:
-            case 23:
             case 25:
             case 26:
-                if (module.parent && module.parent.exports.isDebug) {
-                //if (swu.hasProp(module, 'parent.exports.isDebug')) {
-                    console.log('Message type (switch) %d', parseInt(this.binString.substr(0, 6), 2));
-                    console.log(line);
-                    console.log('-------------------------------------------------------');
-                }
-                lineData = false;
+                lineData = this.fill_25_26(line, lineData);
                 break;
             default:
                 if (module.parent && module.parent.exports.isDebug) {
                 //if (swu.hasProp(module, 'prent.exports.isDebug')) {
                     console.log('Message type ????? %d ?????', parseInt(this.binString.substr(0, 6), 2));
                 }
+                this.lastError = 'unsupported type';
                 lineData = false;
         }
 
         if (lineData) {
-            if (this.returnJson) {
+            if (this.unscaled) {
+                lineData = this.unscaleFields(lineData);
+            }
+            if (this.nullNotAvailable && !this.gpsdCompat) {
+                lineData = this.nullNotAvailableFields(lineData);
+            }
+            if (this.gpsdCompat) {
+                return this.gpsdJson(lineData);
+            } else if (this.returnJson) {
                 return JSON.stringify(lineData);
             } else {
                 return lineData;
@@ -719,6 +1342,469 @@ aivdmDecode.prototype = {
             return false;
         }
     },
+    /**
+     * unscaleFields
+     * Used when this.unscaled is set.  Replaces the scaled fields of lineData with the raw integers from the message,
+     * as gpsdecode -u does.  Fields decoded from binary application data are left scaled.
+     * @returns {*} lineData
+     */
+    unscaleFields: function (lineData) {
+        var self = this;
+        var positions = {
+            17: [40, 18, 58, 17],
+            22: lineData.addressed ? null : [69, 18, 87, 17, 104, 18, 122, 17],
+            23: [40, 18, 58, 17, 75, 18, 93, 17]
+        };
+        var posGroup = this.posGroups[this.msgType];
+        var speedGroup = this.speedGroups[this.msgType];
+        var corners;
+
+        if (posGroup) {
+            lineData.lon = this.getSignedBits(posGroup.lon.start, posGroup.lon.length);
+            lineData.lat = this.getSignedBits(posGroup.lat.start, posGroup.lat.length);
+        }
+        if (speedGroup) {
+            lineData.speed = this.getBits(speedGroup.start, speedGroup.length);
+        }
+        switch (this.msgType) {
+            case 1:
+            case 2:
+            case 3:
+                lineData.turn = this.getSignedBits(42, 8);
+                lineData.course = this.getBits(116, 12);
+                break;
+            case 5:
+                lineData.draught = this.getBits(294, 8);
+                break;
+            case 9:
+                lineData.course = this.getBits(116, 12);
+                break;
+            case 17:
+            case 22:
+            case 23:
+                corners = positions[this.msgType];
+                if (!corners) { break; }
+                _.each(this.msgType === 17 ? ['lon', 'lat'] : ['ne_lon', 'ne_lat', 'sw_lon', 'sw_lat'],
+                    function (field, index) {
+                        lineData[field] = self.getSignedBits(corners[index * 2], corners[index * 2 + 1]);
+                    });
+                break;
+            case 18:
+            case 19:
+                lineData.course = this.getBits(112, 12);
+                break;
+        }
+        lineData.scaled = false;
+        return lineData;
+    },
+    /**
+     * nullNotAvailableFields
+     * Used when this.nullNotAvailable is set.  Sets the fields of lineData whose raw value means 'not available' to
+     * null, and adds flags that say whether they were available: position_available, speed_available,
+     * course_available, heading_available, turn_available, second_available, alt_available, draught_available and
+     * eta_available (those that the type has).  speed_or_higher and alt_or_higher are true when the value is the
+     * highest that can be sent, which means that value or higher (e.g. 102.2 knots or higher).
+     * The raw values are checked, so this works with unscaled.
+     * @returns {*} lineData
+     */
+    nullNotAvailableFields: function (lineData) {
+        var self = this;
+        var posGroup = this.posGroups[this.msgType];
+        var speedGroup = this.speedGroups[this.msgType];
+        var corners = {
+            17: [40, 18, 58, 17],
+            22: lineData.addressed ? null : [69, 18, 87, 17, 104, 18, 122, 17],
+            23: [40, 18, 58, 17, 75, 18, 93, 17]
+        };
+        var lonAvailable, latAvailable, etaParts;
+
+        // Sets lineData[field] to null if its raw value is notAvailable.  Returns true if it's available
+        function available(field, start, len, notAvailable, signed) {
+            var raw = signed ? self.getSignedBits(start, len) : self.getBits(start, len);
+
+            if (raw === notAvailable) { lineData[field] = null; }
+            return raw !== notAvailable;
+        }
+        // Seconds 61, 62 and 63 say that the position was entered manually, estimated by dead reckoning or that the
+        // positioning system is inoperative, so there's no time stamp for them either
+        function secondAvailable(start) {
+            var second = self.getBits(start, 6);
+
+            if (second >= 60) { lineData.second = null; }
+            return second < 60;
+        }
+
+        if (posGroup) {
+            lonAvailable = available('lon', posGroup.lon.start, posGroup.lon.length, 181 * posGroup.lon.divisor, true);
+            latAvailable = available('lat', posGroup.lat.start, posGroup.lat.length, 91 * posGroup.lat.divisor, true);
+            lineData.position_available = lonAvailable && latAvailable;
+        }
+        if (speedGroup) {
+            lineData.speed_available =
+                available('speed', speedGroup.start, speedGroup.length, Math.pow(2, speedGroup.length) - 1);
+            if (this.msgType !== 27) {
+                lineData.speed_or_higher = this.getBits(speedGroup.start, speedGroup.length) === 1022;
+            }
+        }
+        switch (this.msgType) {
+            case 1:
+            case 2:
+            case 3:
+                lineData.turn_available = available('turn', 42, 8, -128, true);
+                lineData.course_available = available('course', 116, 12, 3600);
+                lineData.heading_available = available('heading', 128, 9, 511);
+                lineData.second_available = secondAvailable(137);
+                break;
+            case 4:
+            case 11:
+                available('year', 38, 14, 0);
+                available('month', 52, 4, 0);
+                available('day', 56, 5, 0);
+                available('hour', 61, 5, 24);
+                available('minute', 66, 6, 60);
+                lineData.second_available = secondAvailable(72);
+                break;
+            case 5:
+                // The eta is only null if none of its parts are available
+                etaParts = [available('month', 274, 4, 0), available('day', 278, 5, 0),
+                    available('hour', 283, 5, 24), available('minute', 288, 6, 60)];
+                lineData.eta_available = _.contains(etaParts, true);
+                if (!lineData.eta_available) { lineData.eta = null; }
+                lineData.draught_available = available('draught', 294, 8, 0);
+                break;
+            case 9:
+                lineData.alt_available = available('alt', 38, 12, 4095);
+                lineData.alt_or_higher = this.getBits(38, 12) === 4094;
+                lineData.course_available = available('course', 116, 12, 3600);
+                lineData.second_available = secondAvailable(128);
+                break;
+            case 17:
+            case 22:
+            case 23:
+                if (!corners[this.msgType]) { break; }
+                _.each(this.msgType === 17 ? ['lon', 'lat'] : ['ne_lon', 'ne_lat', 'sw_lon', 'sw_lat'],
+                    function (field, index) {
+                        available(field, corners[self.msgType][index * 2], corners[self.msgType][index * 2 + 1],
+                            (index % 2 ? 91 : 181) * 600, true);
+                    });
+                break;
+            case 18:
+            case 19:
+                lineData.course_available = available('course', 112, 12, 3600);
+                lineData.heading_available = available('heading', 124, 9, 511);
+                lineData.second_available = secondAvailable(133);
+                break;
+            case 21:
+                lineData.second_available = secondAvailable(253);
+                break;
+            case 27:
+                lineData.course_available = available('course', 85, 9, 511);
+                break;
+        }
+        return lineData;
+    },
+    /**
+     * gpsdJson
+     * Used when this.gpsdCompat is set.  Writes lineData in the same way as gpsdecode -j (or -u when this.unscaled
+     * is set): the fields in this.gpsdFields, in its order and number formats, after class, device, type, repeat,
+     * mmsi and scaled.  The binary applications that gpsd decodes are written with its fields (see
+     * gpsdBinaryValues), other binary application data as gpsd writes data it doesn't decode, 'bitlen:hex'.
+     * @returns {string}
+     */
+    gpsdJson: function (lineData) {
+        var values = _.extend({}, lineData);
+        var fields = this.gpsdFields[lineData.type];
+        var json = '{"class":"AIS",';
+        var hex = '';
+        var binaryFields, i;
+
+        if (this.gpsdDevice) {
+            json += '"device":' + JSON.stringify(this.gpsdDevice) + ',';
+        }
+        json += sprintf('"type":%d,"repeat":%d,"mmsi":%d,"scaled":%s', lineData.type, this.getBits(6, 2),
+            lineData.mmsi, this.unscaled ? 'false' : 'true');
+
+        switch (lineData.type) {
+            case 5:
+                // gpsd doesn't trim the spaces from its text fields
+                values.callsign = this.getGpsdText(70, 42);
+                values.shipname = this.getGpsdText(112, 120);
+                values.destination = this.getGpsdText(302, 120);
+                break;
+            case 19:
+                values.shipname = this.getGpsdText(143, 120);
+                break;
+            case 4:
+            case 11:
+                fields = this.gpsdFields[4];
+                values.timestamp = sprintf('%04d-%02d-%02dT%02d:%02d:%02dZ', lineData.year, lineData.month,
+                    lineData.day, lineData.hour, lineData.minute, lineData.second);
+                break;
+            case 7:
+            case 13:
+                fields = this.gpsdFields[7];
+                _.each(lineData.acks, function (ack, index) {
+                    values['mmsi' + (index + 1)] = ack.mmsi;
+                });
+                break;
+            case 2:
+            case 3:
+                fields = this.gpsdFields[1];
+                break;
+            case 21:
+                values.aid_type_text = this.aidTypeText[lineData.aid_type];
+                values.name = this.getGpsdText(43, 120);
+                if (this.binString.length > 272) {
+                    values.name += this.getGpsdText(272, Math.floor((this.binString.length - 272) / 6) * 6);
+                }
+                break;
+            case 22:
+                fields += ' ' + this.gpsdFields[lineData.addressed ? '22_addressed' : '22_broadcast'] +
+                    ' ' + this.gpsdFields['22_end'];
+                break;
+            case 24:
+                fields = this.gpsdFields['24_' + lineData.partno];
+                if (lineData.partno === 'A') {
+                    values.shipname = this.getGpsdText(40, 120);
+                } else {
+                    values.callsign = this.getGpsdText(90, 42);
+                    values.vendorid = this.getGpsdText(48, 42);
+                    fields += ' ' + this.gpsdFields[lineData.mothership_mmsi ? '24_auxiliary' : '24_dimensions'];
+                }
+                break;
+            case 6:
+            case 8:
+                binaryFields = this.gpsdBinaryValues(lineData, values);
+                if (binaryFields) {
+                    fields = fields.replace(/ data:s$/, ' ' + binaryFields);
+                }
+                break;
+            case 25:
+            case 26:
+                values.app_id = lineData.structured ? lineData.dac * 64 + lineData.fid : 0;
+                break;
+        }
+        if (lineData.data !== undefined) {
+            for (i = 0; i < lineData.data.length; i += 8) {
+                hex += sprintf('%02x', parseInt((lineData.data.substr(i, 8) + '0000000').substr(0, 8), 2));
+            }
+            values.data = lineData.data.length + ':' + hex;
+        }
+
+        return json + this.gpsdFieldsJson(fields, values) + '}';
+    },
+    /**
+     * gpsdFieldsJson
+     * Writes the values of fields (as in this.gpsdFields) in their gpsd formats
+     * @returns {string} The fields, each preceded by a comma
+     */
+    gpsdFieldsJson: function (fields, values) {
+        var self = this;
+        var json = '';
+
+        _.each((fields || '').split(' '), function (field) {
+            var nameFormat = field.split(':');
+            var value = values[nameFormat[0]];
+            var text;
+
+            if (!nameFormat[0]) { return; }
+            switch (nameFormat[1]) {
+                case 's':
+                    text = JSON.stringify(value === undefined || value === null ? '' : String(value));
+                    break;
+                case 'q':
+                    text = JSON.stringify(String(value));
+                    break;
+                case 'b':
+                    text = value ? 'true' : 'false';
+                    break;
+                case 'turn':
+                    if (typeof(value) === 'string' && !self.unscaled) {
+                        text = JSON.stringify(value);
+                    } else {
+                        text = sprintf('%.0f', value);
+                    }
+                    break;
+                case 'f1':
+                case 'f2':
+                case 'f4':
+                    text = self.unscaled ? sprintf('%d', value) :
+                        sprintf('%.' + nameFormat[1].substr(1) + 'f', value || 0);
+                    break;
+                case 't':
+                    text = self.unscaled ? sprintf('%d', value) : JSON.stringify(value);
+                    break;
+                case 'j':
+                    text = value;
+                    break;
+                default:
+                    text = sprintf('%d', value || 0);
+            }
+            json += ',"' + nameFormat[0] + '":' + text;
+        });
+        return json;
+    },
+    /**
+     * gpsdBinaryValues
+     * Sets the values that gpsd writes for the binary applications that it decodes.  As gpsd, they are read from
+     * the bits whatever the registered binary decoders have done, and 'not available' values are written as they are.
+     * @param values    The values of gpsdJson, that are added to
+     * @returns {*}     The fields of the application (see this.gpsdFields), or null if gpsd doesn't decode it
+     */
+    gpsdBinaryValues: function (lineData, values) {
+        var key = lineData.type + '_' + lineData.dac + '_' + lineData.fid;
+        var start = lineData.type === 6 ? 88 : 56;
+        var minLength = {'6_200_21': 155, '6_200_22': 142, '8_1_22': 55, '8_1_31': 294, '8_200_10': 104,
+            '8_200_24': 12, '8_200_55': 29};
+        var gpsdText = this.gpsdText;
+        var self = this;
+        var scaled = function (offset, len, divisor, signed) {
+            var value = signed ? self.getSignedBits(start + offset, len) : self.getBits(start + offset, len);
+            return self.unscaled ? value : value / divisor;
+        };
+        var text = function (offset, len, table) {
+            var value = self.getBits(start + offset, len);
+            return self.unscaled ? value : table[value];
+        };
+        var subareas = [];
+        var gauges = [];
+        var i, j, subStart, shape, subarea, gaugeStart, level;
+
+        if (!minLength[key] || lineData.bitlen < minLength[key]) {
+            return null;
+        }
+        switch (key) {
+            case '6_200_21':
+            case '6_200_22':
+                values.country = this.getGpsdText(start, 12);
+                values.locode = this.getGpsdText(start + 12, 18);
+                values.section = this.getGpsdText(start + 30, 30);
+                values.terminal = this.getGpsdText(start + 60, 30);
+                values.hectometre = this.getGpsdText(start + 90, 30);
+                values[lineData.fid === 21 ? 'eta' : 'rta'] = sprintf('%d-%dT%d:%d', this.getBits(start + 120, 4),
+                    this.getBits(start + 124, 5), this.getBits(start + 129, 5), this.getBits(start + 134, 6));
+                if (lineData.fid === 21) {
+                    values.tugs = this.getBits(start + 140, 3);
+                    values.airdraught = this.getBits(start + 143, 12);
+                } else {
+                    values.status = this.getBits(start + 140, 2);
+                    values.status_text = gpsdText.lockStatus[values.status];
+                }
+                break;
+            case '8_1_22':
+                values.linkage = this.getBits(start, 10);
+                values.notice = this.getBits(start + 10, 7);
+                values.notice_text = this.areaNoticeText[values.notice] || 'Reserved for future use';
+                values.month = this.getBits(start + 17, 4);
+                values.day = this.getBits(start + 21, 5);
+                values.hour = this.getBits(start + 26, 5);
+                values.minute = this.getBits(start + 31, 6);
+                values.duration = this.getBits(start + 37, 18);
+                for (subStart = start + 55; subStart + 87 <= this.binString.length && subareas.length < 10;
+                        subStart += 87) {
+                    shape = this.getBits(subStart, 3);
+                    subarea = {shape: shape, shape_text: gpsdText.shape[shape],
+                        scale: this.subareaScale[this.getBits(subStart + 3, 2)]};
+                    if (shape <= 2) {
+                        subarea.lon = scaled(subStart - start + 5, 25, 60000.0, true);
+                        subarea.lat = scaled(subStart - start + 30, 24, 60000.0, true);
+                        subarea.precision = this.getBits(subStart + 54, 3);
+                        subarea.radius = this.getBits(subStart + 57, 12) * subarea.scale;
+                        subarea.east = this.getBits(subStart + 57, 8) * subarea.scale;
+                        subarea.north = this.getBits(subStart + 65, 8) * subarea.scale;
+                        subarea.orientation = this.getBits(subStart + 73, 9);
+                        subarea.left = this.getBits(subStart + 69, 9);
+                        subarea.right = this.getBits(subStart + 78, 9);
+                    } else if (shape <= 4) {
+                        for (j = 0; j < 4; j++) {
+                            subarea['angle' + j] = this.getBits(subStart + 5 + j * 20, 10);
+                            subarea['dist' + j] = this.getBits(subStart + 15 + j * 20, 10) * subarea.scale;
+                        }
+                    } else if (shape === 5) {
+                        subarea.text = this.getGpsdText(subStart + 3, 84);
+                    }
+                    // Polygons are written as polylines are, and the reserved shapes have no fields
+                    shape = {4: 3, 7: 6}[shape] || shape;
+                    subareas.push('{' + this.gpsdFieldsJson(this.gpsdFields['subarea_' + shape], subarea).substr(1) +
+                        '}');
+                }
+                values.subareas = '[' + subareas.join(',') + ']';
+                break;
+            case '8_1_31':
+                values.lon = scaled(0, 25, 60000.0, true);
+                values.lat = scaled(25, 24, 60000.0, true);
+                values.accuracy = this.getBits(start + 49, 1) !== 0;
+                values.timestamp = sprintf('%02dT%02d:%02dZ', this.getBits(start + 50, 5),
+                    this.getBits(start + 55, 5), this.getBits(start + 60, 6));
+                values.wspeed = this.getBits(start + 66, 7);
+                values.wgust = this.getBits(start + 73, 7);
+                values.wdir = this.getBits(start + 80, 9);
+                values.wgustdir = this.getBits(start + 89, 9);
+                values.airtemp = scaled(98, 11, 10, true);
+                values.humidity = this.getBits(start + 109, 7);
+                values.dewpoint = scaled(116, 10, 10, true);
+                values.pressure = this.getBits(start + 126, 9) + 799;
+                values.pressuretend = text(135, 2, gpsdText.trend);
+                values.visgreater = this.getBits(start + 137, 1) !== 0;
+                values.visibility = scaled(138, 7, 10);
+                values.waterlevel = this.unscaled ? this.getBits(start + 145, 12) - 1000 :
+                    (this.getBits(start + 145, 12) - 1000) / 100;
+                values.leveltrend = text(157, 2, gpsdText.trend);
+                values.cspeed = scaled(159, 8, 10);
+                values.cdir = this.getBits(start + 167, 9);
+                values.cspeed2 = scaled(176, 8, 10);
+                values.cdir2 = this.getBits(start + 184, 9);
+                values.cdepth2 = this.getBits(start + 193, 5);
+                values.cspeed3 = scaled(198, 8, 10);
+                values.cdir3 = this.getBits(start + 206, 9);
+                values.cdepth3 = this.getBits(start + 215, 5);
+                values.waveheight = scaled(220, 8, 10);
+                values.waveperiod = this.getBits(start + 228, 6);
+                values.wavedir = this.getBits(start + 234, 9);
+                values.swellheight = scaled(243, 8, 10);
+                values.swellperiod = this.getBits(start + 251, 6);
+                values.swelldir = this.getBits(start + 257, 9);
+                values.seastate = this.getBits(start + 266, 4);
+                values.watertemp = scaled(270, 10, 10, true);
+                values.preciptype = text(280, 3, gpsdText.precip);
+                values.salinity = scaled(283, 9, 10);
+                values.ice = text(292, 2, gpsdText.ice);
+                break;
+            case '8_200_10':
+                values.vin = this.getGpsdText(start, 48);
+                values.length = scaled(48, 13, 10);
+                values.beam = scaled(61, 10, 10);
+                values.shiptype = this.getBits(start + 71, 14);
+                values.shiptype_text = this.eriShiptypeText[values.shiptype] || 'Unknown';
+                values.hazard = this.getBits(start + 85, 3);
+                values.hazard_text = gpsdText.hazard[values.hazard];
+                values.draught = scaled(88, 11, 100);
+                values.loaded = this.getBits(start + 99, 2);
+                values.loaded_text = gpsdText.loaded[values.loaded];
+                values.speed_q = this.getBits(start + 101, 1) !== 0;
+                values.course_q = this.getBits(start + 102, 1) !== 0;
+                values.heading_q = this.getBits(start + 103, 1) !== 0;
+                break;
+            case '8_200_24':
+                values.country = this.getGpsdText(start, 12);
+                for (i = 0; i < 4 && start + 12 + (i + 1) * 26 <= this.binString.length; i++) {
+                    gaugeStart = 12 + i * 26;
+                    level = scaled(gaugeStart + 12, 14, 100);
+                    // The sign bit is 0 for negative levels
+                    if (this.getBits(start + gaugeStart + 11, 1) === 0) { level = -level; }
+                    gauges.push('{' + this.gpsdFieldsJson(this.gpsdFields.gauge,
+                        {id: this.getBits(start + gaugeStart, 11), level: level}).substr(1) + '}');
+                }
+                values.gauges = '[' + gauges.join(',') + ']';
+                break;
+            case '8_200_55':
+                values.crew = this.getBits(start, 8);
+                values.passengers = this.getBits(start + 8, 13);
+                values.personnel = this.getBits(start + 21, 8);
+                break;
+        }
+        return this.gpsdFields[key];
+    },
     fill_1_2_3: function (line, lineData) {
         var latLon = this.getLatLon();
         var status = this.getStatus();
@@ -737,8 +1823,10 @@ aivdmDecode.prototype = {
         lineData.second = this.getSecond();
         lineData.maneuver = maneuver.maneuver;
         lineData.maneuver_text = maneuver.maneuver_text;
+        lineData.spare = this.getBits(145, 3);
         lineData.raim = this.getRaim();
         lineData.radio = this.getRadio();
+        lineData.commstate = this.getCommState();
 
         return lineData;
     },
@@ -758,8 +1846,10 @@ aivdmDecode.prototype = {
         lineData.lat = latLon.lat;
         lineData.epfd = epfd.epfd;
         lineData.epfd_text = epfd.epfd_text;
+        lineData.spare = this.getBits(138, 10);
         lineData.raim = this.getRaim();
         lineData.radio = this.getRadio();
+        lineData.commstate = this.getCommState();
 
         return lineData;
     },
@@ -777,6 +1867,7 @@ aivdmDecode.prototype = {
 
         //if (this.aivdmPassthrough) { lineData.aivdm = this.splitLines; }
         //if (this.aivdmPassthrough) { lineData.aivdm = this.splitParts; }
+        lineData.ais_version = this.getBits(38, 2);
         lineData.imo = this.getIMO();
         lineData.callsign = this.getCallsign();
         lineData.shipname = this.getName();
@@ -788,7 +1879,7 @@ aivdmDecode.prototype = {
         lineData.to_starboard = dimensions.to_starboard;
         lineData.epfd = epfd.epfd;
         lineData.eta = eta;
-        lineData.epfd_text = epfd.epfd.text;
+        lineData.epfd_text = epfd.epfd_text;
         lineData.month = this.getMonth();
         lineData.day = this.getDay();
         lineData.hour = this.getHour();
@@ -796,9 +1887,54 @@ aivdmDecode.prototype = {
         lineData.draught = this.getDraught();
         lineData.destination = this.getDestination();
         lineData.dte = this.getDte();
+        lineData.spare = this.getBits(423, 1);
+
+        return lineData;
+    },
+    /**
+     * fill_6  Binary addressed message.
+     * The header is decoded here, the application data (from bit 88) is handed to fillBinaryData
+     */
+    fill_6: function (line, lineData) {
+        if (this.aivdmPassthrough) { lineData.aivdm = this.splitLines; }
+        lineData.seqno = this.getBits(38, 2);
+        lineData.dest_mmsi = this.getBits(40, 30);
+        lineData.retransmit = this.getBits(70, 1) !== 0;
+        lineData.spare = this.getBits(71, 1);
+        lineData.dac = this.getBits(72, 10);
+        lineData.fid = this.getBits(82, 6);
+
+        return this.fillBinaryData(lineData, 88);
+    },
+    /**
+     * fill_7_13  Binary acknowledge (type 7) and Safety related acknowledge (type 13)
+     * lineData.acks contains one {mmsi, seqno} for each acknowledged message (1 to 4, depending on the
+     * length of the payload)
+     */
+    fill_7_13: function (line, lineData) {
+        var ackStart;
+
+        if (this.aivdmPassthrough) { lineData.aivdm = [line]; }
+        lineData.spare = this.getBits(38, 2);
+        lineData.acks = [];
+        for (ackStart = 40; ackStart + 32 <= this.binString.length && lineData.acks.length < 4; ackStart += 32) {
+            lineData.acks.push({mmsi: this.getBits(ackStart, 30), seqno: this.getBits(ackStart + 30, 2)});
+        }
 
         return lineData;
     },
+    /**
+     * fill_8  Binary broadcast message.
+     * The header is decoded here, the application data (from bit 56) is handed to fillBinaryData
+     */
+    fill_8: function (line, lineData) {
+        if (this.aivdmPassthrough) { lineData.aivdm = this.splitLines; }
+        lineData.spare = this.getBits(38, 2);
+        lineData.dac = this.getBits(40, 10);
+        lineData.fid = this.getBits(50, 6);
+
+        return this.fillBinaryData(lineData, 56);
+    },
     fill_9: function (line, lineData) {
         var latLon = this.getLatLon();
 
@@ -810,35 +1946,155 @@ aivdmDecode.prototype = {
         lineData.lat = latLon.lat;
         lineData.course = this.getCourse();
         lineData.second = this.getSecond();
+        lineData.regional = this.getBits(134, 8);
+        lineData.dte = this.getDte();
+        lineData.spare = this.getBits(143, 3);
         lineData.assigned = this.getAssigned();
         lineData.raim = this.getRaim();
         lineData.radio = this.getRadio();
+        lineData.commstate = this.getCommState();
 
         return lineData;
     },
-    fill_18: function (line, lineData) {
-        var latLon = this.getLatLon();
-
+    /**
+     * fill_10  UTC/date inquiry
+     */
+    fill_10: function (line, lineData) {
         if (this.aivdmPassthrough) { lineData.aivdm = [line]; }
-        lineData.speed = this.getSpeed();
-        lineData.accuracy = this.getAccuracy();
-        lineData.lon = latLon.lon;
-        lineData.lat = latLon.lat;
-        lineData.course = this.getCourse();
-        lineData.heading = this.getHeading();
-        lineData.second = this.getSecond();
-        lineData.raim = this.getRaim();
-        lineData.radio = this.getRadio();
+        lineData.spare = this.getBits(38, 2);
+        lineData.dest_mmsi = this.getBits(40, 30);
+        lineData.spare2 = this.getBits(70, 2);
 
         return lineData;
     },
-    fill_19: function (line, lineData) {
-        var latLon = this.getLatLon();
-        var dimensions = this.getDimensions();
-        var epfd = this.getEpfd();
+    /**
+     * fill_12  Addressed safety related message
+     */
+    fill_12: function (line, lineData) {
+        if (this.aivdmPassthrough) { lineData.aivdm = this.splitLines; }
+        lineData.seqno = this.getBits(38, 2);
+        lineData.dest_mmsi = this.getBits(40, 30);
+        lineData.retransmit = this.getBits(70, 1) !== 0;
+        lineData.spare = this.getBits(71, 1);
+        lineData.text = this.getText(72, this.binString.length - 72, true);
+
+        return lineData;
+    },
+    /**
+     * fill_14  Safety related broadcast message
+     */
+    fill_14: function (line, lineData) {
+        if (this.aivdmPassthrough) { lineData.aivdm = this.splitLines; }
+        lineData.spare = this.getBits(38, 2);
+        lineData.text = this.getText(40, this.binString.length - 40, true);
+
+        return lineData;
+    },
+    /**
+     * fill_15  Interrogation
+     * As gpsd, the number of interrogations (1 to 3) is inferred from the length of the payload.
+     * Fields of interrogations that aren't present are not included in lineData
+     */
+    fill_15: function (line, lineData) {
+        var bitLength = this.binString.length;
+
+        if (this.aivdmPassthrough) { lineData.aivdm = [line]; }
+        lineData.spare = this.getBits(38, 2);
+        lineData.mmsi1 = this.getBits(40, 30);
+        lineData.type1_1 = this.getBits(70, 6);
+        lineData.offset1_1 = this.getBits(76, 12);
+        if (bitLength >= 108) {     // Second message requested from the first station
+            lineData.spare2 = this.getBits(88, 2);
+            lineData.type1_2 = this.getBits(90, 6);
+            lineData.offset1_2 = this.getBits(96, 12);
+        }
+        if (bitLength >= 158) {     // Second station
+            lineData.spare3 = this.getBits(108, 2);
+            lineData.mmsi2 = this.getBits(110, 30);
+            lineData.type2_1 = this.getBits(140, 6);
+            lineData.offset2_1 = this.getBits(146, 12);
+        }
+        if (bitLength >= 160) {
+            lineData.spare4 = this.getBits(158, 2);
+        }
+
+        return lineData;
+    },
+    /**
+     * fill_16  Assignment mode command
+     * As gpsd, the number of assignments (1 or 2) is inferred from the length of the payload
+     */
+    fill_16: function (line, lineData) {
+        if (this.aivdmPassthrough) { lineData.aivdm = [line]; }
+        lineData.spare = this.getBits(38, 2);
+        lineData.mmsi1 = this.getBits(40, 30);
+        lineData.offset1 = this.getBits(70, 12);
+        lineData.increment1 = this.getBits(82, 10);
+        if (this.binString.length >= 144) {
+            lineData.mmsi2 = this.getBits(92, 30);
+            lineData.offset2 = this.getBits(122, 12);
+            lineData.increment2 = this.getBits(134, 10);
+            if (this.binString.length >= 148) { lineData.spare2 = this.getBits(144, 4); }
+        } else if (this.binString.length >= 96) {
+            lineData.spare2 = this.getBits(92, 4);
+        }
+
+        return lineData;
+    },
+    /**
+     * fill_17  DGNSS broadcast binary message
+     * The raw RTCM2 data (from bit 80) is returned in lineData.data and, if there is enough of it to contain the
+     * RTCM header, is decoded into lineData.rtcm by getRtcm
+     */
+    fill_17: function (line, lineData) {
+        var latLon = this.getPosition(40, 18, 58, 17, 600.0);
+
+        if (this.aivdmPassthrough) { lineData.aivdm = this.splitLines; }
+        lineData.spare = this.getBits(38, 2);
+        lineData.lon = latLon.lon;
+        lineData.lat = latLon.lat;
+        lineData.spare2 = this.getBits(75, 5);
+        lineData.data = this.binString.substr(80);
+        lineData.bitlen = lineData.data.length;
+        if (lineData.bitlen >= 40) {
+            lineData.rtcm = this.getRtcm(80);
+        }
+
+        return lineData;
+    },
+    fill_18: function (line, lineData) {
+        var latLon = this.getLatLon();
+
+        if (this.aivdmPassthrough) { lineData.aivdm = [line]; }
+        lineData.reserved = this.getBits(38, 8);
+        lineData.speed = this.getSpeed();
+        lineData.accuracy = this.getAccuracy();
+        lineData.lon = latLon.lon;
+        lineData.lat = latLon.lat;
+        lineData.course = this.getCourse();
+        lineData.heading = this.getHeading();
+        lineData.second = this.getSecond();
+        lineData.regional = this.getBits(139, 2);
+        lineData.cs = this.getBits(141, 1) !== 0;
+        lineData.display = this.getBits(142, 1) !== 0;
+        lineData.dsc = this.getBits(143, 1) !== 0;
+        lineData.band = this.getBits(144, 1) !== 0;
+        lineData.msg22 = this.getBits(145, 1) !== 0;
+        lineData.assigned = this.getAssigned();
+        lineData.raim = this.getRaim();
+        lineData.radio = this.getRadio();
+        lineData.commstate = this.getCommState();
+
+        return lineData;
+    },
+    fill_19: function (line, lineData) {
+        var latLon = this.getLatLon();
+        var dimensions = this.getDimensions();
+        var epfd = this.getEpfd();
         var shiptype = this.getShiptype();
 
         if (this.aivdmPassthrough) { lineData.aivdm = [line]; }
+        lineData.reserved = this.getBits(38, 8);
         lineData.speed = this.getSpeed();
         lineData.accuracy = this.getAccuracy();
         lineData.lon = latLon.lon;
@@ -846,6 +2102,7 @@ aivdmDecode.prototype = {
         lineData.course = this.getCourse();
         lineData.heading = this.getHeading();
         lineData.second = this.getSecond();
+        lineData.regional = this.getBits(139, 4);
         lineData.shipname = this.getName();
         lineData.shiptype = shiptype.shiptype;
         lineData.shiptype_text = shiptype.shiptype_text;
@@ -856,6 +2113,30 @@ aivdmDecode.prototype = {
         lineData.epfd = epfd.epfd;
         lineData.epfd_text = epfd.epfd_text;
         lineData.raim = this.getRaim();
+        lineData.dte = this.getDte();
+        lineData.assigned = this.getAssigned();
+        lineData.spare = this.getBits(308, 4);
+
+        return lineData;
+    },
+    /**
+     * fill_20  Data link management message
+     * Up to 4 reservation blocks (offsetN, numberN, timeoutN, incrementN), the number present is inferred from the
+     * length of the payload
+     */
+    fill_20: function (line, lineData) {
+        var i, blockStart;
+
+        if (this.aivdmPassthrough) { lineData.aivdm = [line]; }
+        lineData.spare = this.getBits(38, 2);
+        for (i = 1; i <= 4; i++) {
+            blockStart = 40 + (i - 1) * 30;
+            if (this.binString.length < blockStart + 30) { break; }
+            lineData['offset' + i] = this.getBits(blockStart, 12);
+            lineData['number' + i] = this.getBits(blockStart + 12, 4);
+            lineData['timeout' + i] = this.getBits(blockStart + 16, 3);
+            lineData['increment' + i] = this.getBits(blockStart + 19, 11);
+        }
 
         return lineData;
     },
@@ -866,6 +2147,7 @@ aivdmDecode.prototype = {
 
         if (this.aivdmPassthrough) { lineData.aivdm = [line]; }
         lineData.aid_type = this.getAidType();
+        lineData.aid_type_text = this.aidTypeText[lineData.aid_type];
         lineData.name = this.getName();
         lineData.accuracy = this.getAccuracy();
         lineData.lon = latLon.lon;
@@ -878,20 +2160,147 @@ aivdmDecode.prototype = {
         lineData.epfd_text = epfd.epfd_text;
         lineData.second = this.getSecond();
         lineData.off_position = this.getOffPosition();
+        lineData.regional = this.getBits(260, 8);
         lineData.raim = this.getRaim();
         lineData.virtual_aid = this.getVirtualAid();
         lineData.assigned = this.getAssigned();
+        lineData.spare = this.getBits(271, 1);
         lineData.name += this.getNameExtension();
 
         return lineData;
     },
+    /**
+     * fill_22  Channel management
+     * Addressed messages carry dest1 and dest2, broadcast messages carry the NE and SW corners of the area
+     */
+    fill_22: function (line, lineData) {
+        var txrx = this.getBits(64, 4);
+        var ne, sw;
+
+        if (this.aivdmPassthrough) { lineData.aivdm = [line]; }
+        lineData.spare = this.getBits(38, 2);
+        lineData.channel_a = this.getBits(40, 12);
+        lineData.channel_b = this.getBits(52, 12);
+        lineData.txrx = txrx;
+        lineData.txrx_text = this.txrxText[txrx] || 'Reserved for future use';
+        lineData.power = this.getBits(68, 1) !== 0;
+        lineData.addressed = this.getBits(139, 1) !== 0;
+        if (lineData.addressed) {
+            lineData.dest1 = this.getBits(69, 30);
+            lineData.dest2 = this.getBits(104, 30);
+        } else {
+            ne = this.getPosition(69, 18, 87, 17, 600.0);
+            sw = this.getPosition(104, 18, 122, 17, 600.0);
+            lineData.ne_lon = ne.lon;
+            lineData.ne_lat = ne.lat;
+            lineData.sw_lon = sw.lon;
+            lineData.sw_lat = sw.lat;
+        }
+        lineData.band_a = this.getBits(140, 1) !== 0;
+        lineData.band_b = this.getBits(141, 1) !== 0;
+        lineData.zonesize = this.getBits(142, 3);
+        lineData.spare2 = this.getBits(145, 23);
+
+        return lineData;
+    },
+    /**
+     * fill_23  Group assignment command
+     */
+    fill_23: function (line, lineData) {
+        var ne = this.getPosition(40, 18, 58, 17, 600.0);
+        var sw = this.getPosition(75, 18, 93, 17, 600.0);
+        var stationtype = this.getBits(110, 4);
+        var shiptype = this.getBits(114, 8);
+        var txrx = this.getBits(144, 2);
+        var interval = this.getBits(146, 4);
+
+        if (this.aivdmPassthrough) { lineData.aivdm = [line]; }
+        lineData.spare = this.getBits(38, 2);
+        lineData.ne_lon = ne.lon;
+        lineData.ne_lat = ne.lat;
+        lineData.sw_lon = sw.lon;
+        lineData.sw_lat = sw.lat;
+        lineData.stationtype = stationtype;
+        lineData.stationtype_text = this.stationtypeText[stationtype];
+        lineData.shiptype = shiptype;
+        lineData.shiptype_text = this.shiptypeText[shiptype] || 'Reserved for future use';
+        lineData.txrx = txrx;
+        lineData.txrx_text = this.txrxText[txrx];
+        lineData.interval = interval;
+        lineData.interval_text = this.intervalText[interval];
+        lineData.quiet = this.getBits(150, 4);
+        lineData.spare2 = this.getBits(122, 22);
+        lineData.spare3 = this.getBits(154, 6);
+
+        return lineData;
+    },
     fill_24_0: function (line, lineData) {
         if (this.aivdmPassthrough) { lineData.aivdm = [line]; }
         lineData.part = this.getPartno();
         lineData.shipname = this.getName();
+        // The spare at the end of Part A is optional
+        if (this.binString.length >= 168) { lineData.spare = this.getBits(160, 8); }
 
         return lineData;
     },
+    /**
+     * pairType24Parts
+     * Used when this.pairType24 is set.  Holds a type 24 Part A (or B) until the Part B (or A) of the same mmsi arrives
+     * within this.type24Timeout, then returns the two merged into one record shaped like a type 5: it has type 5,
+     * class_b true and the fields of a type 5, with those that a Class B unit doesn't send (imo, eta, draught,
+     * destination ...) null.  The vendor and mothership fields of Part B are left out.  aivdm has the sentences of
+     * both parts, Part A first.  Parts that aren't paired in time are dropped.
+     * @param lineData  The decoded Part A or Part B
+     * @returns {*}     The merged record, or false while waiting for the other part
+     */
+    pairType24Parts: function (lineData) {
+        var now = Date.now();
+        var self = this;
+        var held, partA, partB;
+
+        _.each(_.keys(this.type24Parts), function (mmsi) {
+            if (now - self.type24Parts[mmsi].time > self.type24Timeout) {
+                delete self.type24Parts[mmsi];
+            }
+        });
+
+        held = this.type24Parts[lineData.mmsi];
+        if (!held || held.lineData.partno === lineData.partno) {
+            this.type24Parts[lineData.mmsi] = {lineData: lineData, time: now};
+            return false;
+        }
+
+        delete this.type24Parts[lineData.mmsi];
+        partA = lineData.partno === 'A' ? lineData : held.lineData;
+        partB = lineData.partno === 'A' ? held.lineData : lineData;
+
+        return _.extend(_.pick(lineData, this.headerFields.replace(/\?/g, '').split(' ')), {
+            type: 5,
+            aivdm: partA.aivdm.concat(partB.aivdm),
+            class_b: true,
+            ais_version: null,
+            imo: null,
+            callsign: partB.callsign,
+            shipname: partA.shipname,
+            shiptype: partB.shiptype,
+            shiptype_text: partB.shiptype_text,
+            to_bow: partB.to_bow,
+            to_stern: partB.to_stern,
+            to_port: partB.to_port,
+            to_starboard: partB.to_starboard,
+            epfd: null,
+            eta: null,
+            epfd_text: null,
+            month: null,
+            day: null,
+            hour: null,
+            minute: null,
+            draught: null,
+            destination: null,
+            dte: null,
+            spare: null
+        });
+    },
     fill_24_1: function (line, lineData) {
         var dimensions;
         var vendorInfo = this.getVendorInfo();
@@ -918,6 +2327,37 @@ aivdmDecode.prototype = {
         lineData.to_stern = dimensions.to_stern;
         lineData.to_port = dimensions.to_port;
         lineData.to_starboard = dimensions.to_starboard;
+        lineData.spare = this.getBits(162, 6);
+
+        return lineData;
+    },
+    /**
+     * fill_25_26  Single slot binary message (type 25) and Multiple slot binary message (type 26)
+     * dest_mmsi is only present if the message is addressed, dac and fid only if the data is structured.
+     * The data is returned in lineData.data as a string of bits.  Type 26 also has a radio status at the end.
+     */
+    fill_25_26: function (line, lineData) {
+        var dataStart = 40;
+        var dataEnd = this.msgType === 26 ? this.binString.length - 20 : this.binString.length;
+
+        if (this.aivdmPassthrough) { lineData.aivdm = this.splitLines; }
+        lineData.addressed = this.getBits(38, 1) !== 0;
+        lineData.structured = this.getBits(39, 1) !== 0;
+        if (lineData.addressed) {
+            lineData.dest_mmsi = this.getBits(dataStart, 30);
+            dataStart += 30;
+        }
+        if (lineData.structured) {
+            lineData.dac = this.getBits(dataStart, 10);
+            lineData.fid = this.getBits(dataStart + 10, 6);
+            dataStart += 16;
+        }
+        lineData.data = this.binString.substring(dataStart, Math.max(dataStart, dataEnd));
+        lineData.bitlen = lineData.data.length;
+        if (this.msgType === 26) {
+            lineData.radio = this.getRadio();
+            lineData.commstate = this.getCommState();
+        }
 
         return lineData;
     },
@@ -934,6 +2374,494 @@ aivdmDecode.prototype = {
         lineData.lat = latLon.lat;
         lineData.speed = this.getSpeed();
         lineData.course = this.getCourse();
+        lineData.gnss = this.getBits(94, 1) !== 0;
+        lineData.spare = this.getBits(95, 1);
+
+        return lineData;
+    },
+    // -------------------------------
+
+    /**
+     * getRtcm
+     * Decodes the RTCM SC-104 (version 2) message carried by a type 17 message.  The 30 bit RTCM words are carried
+     * without their parity bits so the header is 40 bits (type, station_id, zcount, seqno, length, health) followed
+     * by length words of 24 bits.
+     * For RTCM types 1 and 9 the per-satellite corrections are decoded into rtcm.corrections:
+     *      satellite, udre, scale, prc (metres), rrc (metres/second) and iod
+     * prc and rrc are null when the satellite should not be used
+     * @param start  Position in this.binString of the RTCM header
+     * @returns {object}
+     */
+    getRtcm: function (start) {
+        var rtcm = {
+            type: this.getBits(start, 6),
+            station_id: this.getBits(start + 6, 10),
+            zcount: parseFloat((this.getBits(start + 16, 13) * 0.6).toFixed(1)),
+            seqno: this.getBits(start + 29, 3),
+            length: this.getBits(start + 32, 5),
+            health: this.getBits(start + 37, 3)
+        };
+        var wordsEnd = Math.min(start + 40 + rtcm.length * 24, this.binString.length);
+        var satStart, scale, prc, rrc, satellite;
+
+        if (rtcm.type === 1 || rtcm.type === 9) {
+            rtcm.corrections = [];
+            for (satStart = start + 40; satStart + 40 <= wordsEnd; satStart += 40) {
+                scale = this.getBits(satStart, 1);
+                satellite = this.getBits(satStart + 3, 5);
+                prc = this.getSignedBits(satStart + 8, 16);
+                rrc = this.getSignedBits(satStart + 24, 8);
+                rtcm.corrections.push({
+                    satellite: satellite === 0 ? 32 : satellite,
+                    udre: this.getBits(satStart + 1, 2),
+                    scale: scale,
+                    prc: prc === -32768 ? null : parseFloat((prc * (scale ? 0.32 : 0.02)).toFixed(2)),
+                    rrc: rrc === -128 ? null : parseFloat((rrc * (scale ? 0.032 : 0.002)).toFixed(3)),
+                    iod: this.getBits(satStart + 32, 8)
+                });
+            }
+        }
+        return rtcm;
+    },
+    /**
+     * fillBinaryData
+     * Used by fill_6 and fill_8.  The raw application data is always returned in lineData.data (a string of '0' and
+     * '1' characters) along with its length in lineData.bitlen.  If a decoder has been registered for the message's
+     * dac/fid then it is called to add the application fields.
+     * @param lineData  The lineData object, with dac and fid already filled
+     * @param start     The position in this.binString at which the application data starts
+     * @returns {*}     lineData
+     */
+    fillBinaryData: function (lineData, start) {
+        var decoder = this.getBinaryDecoder(this.msgType, lineData.dac, lineData.fid);
+        var decoded;
+
+        lineData.data = this.binString.substr(start);
+        lineData.bitlen = lineData.data.length;
+
+        if (decoder) {
+            decoded = decoder.call(this, lineData, start);
+            if (decoded) {
+                lineData = decoded;
+            }
+        }
+        return lineData;
+    },
+    /**
+     * getCapabilities
+     * Lists the fields of the decoded object of a message type, e.g. to build a display for any type
+     * @param type      Optional.  The message type (default all the types)
+     * @returns {*}     {type, name, fields, optional} where fields lists every field (header fields first) and
+     *                  optional those of them that are only present in some messages.  An array of these for all
+     *                  the types, or null if type isn't supported
+     */
+    getCapabilities: function (type) {
+        var self = this;
+        var capability, fields;
+
+        if (type === undefined) {
+            return _.map(_.keys(this.capabilities), function (key) { return self.getCapabilities(parseInt(key, 10)); });
+        }
+        capability = this.capabilities[type];
+        if (!capability) { return null; }
+        fields = (this.headerFields + ' ' + (this.capabilities[capability.like] || capability).fields).split(' ');
+
+        return {
+            type: type,
+            name: capability.name,
+            fields: _.map(fields, function (field) { return field.replace('?', ''); }),
+            optional: _.map(_.filter(fields, function (field) { return /\?$/.test(field); }), function (field) {
+                return field.replace('?', '');
+            })
+        };
+    },
+    /**
+     * registerBinaryDecoder
+     * Adds (or replaces) the decoder for the application data of type 6 and 8 messages with the given dac and fid.
+     * The decoder is called with 'this' set to the aivdmDecode object, so this.getBits() etc are available, and is
+     * passed (lineData, start) where start is the position in this.binString at which the application data starts.
+     * It should add its fields to lineData and return it.
+     * @param {number} dac      Designated area code
+     * @param {number} fid      Function identifier
+     * @param {function} decoder
+     * @param {Array} msgTypes  Optional.  The message types that the decoder applies to (default [6, 8])
+     */
+    registerBinaryDecoder: function (dac, fid, decoder, msgTypes) {
+        var self = this;
+        _.each(msgTypes || [6, 8], function (msgType) {
+            if (self.binaryDecoders[msgType]) {
+                self.binaryDecoders[msgType][dac + ':' + fid] = decoder;
+            }
+        });
+    },
+    /**
+     * getBinaryDecoder
+     * @returns {*} The decoder registered for msgType, dac and fid or null if there isn't one
+     */
+    getBinaryDecoder: function (msgType, dac, fid) {
+        var decoders = this.binaryDecoders[msgType];
+        if (decoders && decoders[dac + ':' + fid]) {
+            return decoders[dac + ':' + fid];
+        }
+        return null;
+    },
+    /**
+     * fill_dac1_fid22  IMO289 Area notice (type 6 or 8, dac 1, fid 22)
+     * Offsets are relative to start, the first bit of the application data.
+     * lineData.subareas contains the sub-areas resolved to absolute coordinates by resolveSubareas.
+     * duration is in minutes and is null when the notice is valid indefinitely
+     */
+    fill_dac1_fid22: function (lineData, start) {
+        var noticeType = this.getBits(start + 10, 7);
+        var duration = this.getBits(start + 37, 18);
+        var subareas = [];
+        var subStart;
+
+        lineData.linkage_id = this.getBits(start, 10);
+        lineData.notice_type = noticeType;
+        lineData.notice_type_text = this.areaNoticeText[noticeType] || 'Reserved for future use';
+        lineData.month = this.getBits(start + 17, 4);
+        lineData.day = this.getBits(start + 21, 5);
+        lineData.hour = this.getBits(start + 26, 5);
+        lineData.minute = this.getBits(start + 31, 6);
+        lineData.duration = duration === 262143 ? null : duration;
+
+        // Up to 10 sub-areas of 87 bits each
+        for (subStart = start + 55; subStart + 87 <= this.binString.length && subareas.length < 10; subStart += 87) {
+            subareas.push(this.getSubarea(subStart));
+        }
+        lineData.subareas = this.resolveSubareas(subareas);
+
+        return lineData;
+    },
+    /**
+     * getSubarea
+     * Decodes a single 87 bit area notice sub-area as transmitted (i.e. polyline points are still relative)
+     * @param start  The position of the sub-area in this.binString
+     * @returns {object}
+     */
+    getSubarea: function (start) {
+        var shape = this.getBits(start, 3);
+        var subarea = {shape: this.subareaShapes[shape]};
+        var scale = this.subareaScale[this.getBits(start + 3, 2)];
+        var latLon, i, angle, distance;
+
+        switch (shape) {
+            case 0:     // circle or point
+            case 1:     // rectangle
+            case 2:     // sector
+                latLon = this.getPosition(start + 5, 25, start + 30, 24, 60000.0);
+                subarea.lon = latLon.lon;
+                subarea.lat = latLon.lat;
+                subarea.precision = this.getBits(start + 54, 3);
+                if (shape === 1) {
+                    subarea.e_dim = this.getBits(start + 57, 8) * scale;
+                    subarea.n_dim = this.getBits(start + 65, 8) * scale;
+                    subarea.orientation = this.getBits(start + 73, 9);
+                } else {
+                    subarea.radius = this.getBits(start + 57, 12) * scale;
+                }
+                if (shape === 2) {
+                    subarea.left_bound = this.getBits(start + 69, 9);
+                    subarea.right_bound = this.getBits(start + 78, 9);
+                }
+                break;
+            case 3:     // polyline
+            case 4:     // polygon
+                subarea.points = [];
+                for (i = 0; i < 4; i++) {
+                    angle = this.getBits(start + 5 + i * 20, 10);
+                    distance = this.getBits(start + 15 + i * 20, 10);
+                    // A distance of 0 marks the end of the points, 720 is 'angle not available'
+                    if (distance === 0 || angle >= 720) { break; }
+                    subarea.points.push({angle: angle / 2, distance: distance * scale});
+                }
+                break;
+            case 5:     // text
+                // Trailing spaces are kept until resolveSubareas has joined the parts
+                subarea.text = this.getRawText(start + 3, 84, true).replace(/@+$/, '');
+                break;
+        }
+        return subarea;
+    },
+    /**
+     * resolveSubareas
+     * Converts the sub-areas of an area notice to absolute coordinates ([lon, lat] pairs in subarea.coordinates)
+     * Polyline and polygon sub-areas start at the point given by the preceding circle (of radius 0) sub-area and
+     * consecutive polyline (or polygon) sub-areas continue the same line, so these are joined into one geometry.
+     * Consecutive text sub-areas are also joined, and the trailing spaces trimmed once they are.
+     * @param subareas  Array of sub-areas from getSubarea
+     * @returns {Array} The resolved areas
+     */
+    resolveSubareas: function (subareas) {
+        var areas = [];
+        var self = this;
+
+        _.each(subareas, function (subarea) {
+            var prev = areas.length ? areas[areas.length - 1] : null;
+            var origin, arcStep, bearing, coordinates, line;
+
+            switch (subarea.shape) {
+                case 'circle':
+                    subarea.coordinates = [[subarea.lon, subarea.lat]];
+                    if (subarea.radius === 0) { subarea.shape = 'point'; }
+                    areas.push(subarea);
+                    break;
+                case 'rectangle':
+                    origin = [subarea.lon, subarea.lat];
+                    coordinates = [origin, self.destinationPoint(origin, subarea.orientation + 90, subarea.e_dim)];
+                    coordinates.push(self.destinationPoint(coordinates[1], subarea.orientation, subarea.n_dim));
+                    coordinates.push(self.destinationPoint(origin, subarea.orientation, subarea.n_dim));
+                    coordinates.push(origin);
+                    subarea.coordinates = coordinates;
+                    areas.push(subarea);
+                    break;
+                case 'sector':
+                    origin = [subarea.lon, subarea.lat];
+                    coordinates = [origin];
+                    // left_bound to right_bound clockwise, in steps of no more than 5 degrees
+                    arcStep = (subarea.right_bound - subarea.left_bound + 360) % 360 || 360;
+                    for (bearing = 0; bearing < arcStep; bearing += 5) {
+                        coordinates.push(self.destinationPoint(origin, subarea.left_bound + bearing, subarea.radius));
+                    }
+                    coordinates.push(self.destinationPoint(origin, subarea.right_bound, subarea.radius));
+                    coordinates.push(origin);
+                    subarea.coordinates = coordinates;
+                    areas.push(subarea);
+                    break;
+                case 'polyline':
+                case 'polygon':
+                    if (prev && prev.shape === subarea.shape) {
+                        // Continuation of the preceding line
+                        line = areas.pop();
+                        if (line.shape === 'polygon') { line.coordinates.pop(); }
+                        line.points = line.points.concat(subarea.points);
+                    } else if (prev && prev.shape === 'point') {
+                        // The preceding point is the start of the line
+                        areas.pop();
+                        line = subarea;
+                        line.lon = prev.lon;
+                        line.lat = prev.lat;
+                        line.coordinates = [[prev.lon, prev.lat]];
+                    } else {
+                        // No start point so the line can't be drawn
+                        subarea.coordinates = [];
+                        areas.push(subarea);
+                        break;
+                    }
+                    _.each(subarea.points, function (point) {
+                        var last = line.coordinates[line.coordinates.length - 1];
+                        line.coordinates.push(self.destinationPoint(last, point.angle, point.distance));
+                    });
+                    if (line.shape === 'polygon') {
+                        line.coordinates.push(line.coordinates[0]);
+                    }
+                    areas.push(line);
+                    break;
+                case 'text':
+                    if (prev && prev.shape === 'text') {
+                        prev.text += subarea.text;
+                    } else {
+                        areas.push(subarea);
+                    }
+                    break;
+                default:
+                    areas.push(subarea);
+            }
+        });
+        _.each(areas, function (area) {
+            if (area.shape === 'text') { area.text = area.text.replace(/[@ ]+$/, ''); }
+        });
+        return areas;
+    },
+    /**
+     * destinationPoint
+     * Great circle calculation of the point at distance metres on bearing degrees from origin
+     * @param origin    [lon, lat]
+     * @param bearing   Degrees from true north
+     * @param distance  Metres
+     * @returns {Array} [lon, lat] rounded to 6 decimal places
+     */
+    destinationPoint: function (origin, bearing, distance) {
+        var toRad = Math.PI / 180;
+        var delta = distance / 6371000;
+        var theta = bearing * toRad;
+        var lat1 = origin[1] * toRad;
+        var lon1 = origin[0] * toRad;
+        var lat2 = Math.asin(Math.sin(lat1) * Math.cos(delta) + Math.cos(lat1) * Math.sin(delta) * Math.cos(theta));
+        var lon2 = lon1 + Math.atan2(
+            Math.sin(theta) * Math.sin(delta) * Math.cos(lat1),
+            Math.cos(delta) - Math.sin(lat1) * Math.sin(lat2)
+        );
+        lon2 = (lon2 / toRad + 540) % 360 - 180;
+
+        return [parseFloat(lon2.toFixed(6)), parseFloat((lat2 / toRad).toFixed(6))];
+    },
+    /**
+     * fill_dac1_fid31  IMO289 Meteorological and Hydrological data (type 8, dac 1, fid 31)
+     * Offsets are relative to start, the first bit of the application data.
+     * Fields that are 'not available' (or use a reserved value) are returned as null
+     */
+    fill_dac1_fid31: function (lineData, start) {
+        var latLon = this.getPosition(start, 25, start + 25, 24, 60000.0);
+        var airtemp = this.getSignedBits(start + 98, 11);
+        var dewpoint = this.getSignedBits(start + 116, 10);
+        var pressure = this.getBitsOrNull(start + 126, 9, 403);
+        var visibility = this.getBitsOrNull(start + 138, 7, 127);
+        var waterlevel = this.getBitsOrNull(start + 145, 12, 4001);
+        var watertemp = this.getSignedBits(start + 270, 10);
+        var salinity = this.getBitsOrNull(start + 283, 9, 501);
+        var self = this;
+        var tenths = function (offset, len, notAvailable) {
+            var value = self.getBitsOrNull(start + offset, len, notAvailable);
+            return value === null ? null : value / 10;
+        };
+
+        lineData.lon = Math.abs(latLon.lon) > 180 ? null : latLon.lon;
+        lineData.lat = Math.abs(latLon.lat) > 90 ? null : latLon.lat;
+        lineData.accuracy = this.getBits(start + 49, 1) !== 0;
+        lineData.day = this.getBits(start + 50, 5) || null;
+        lineData.hour = this.getBitsOrNull(start + 55, 5, 24);
+        lineData.minute = this.getBitsOrNull(start + 60, 6, 60);
+        lineData.wspeed = this.getBitsOrNull(start + 66, 7, 127);
+        lineData.wgust = this.getBitsOrNull(start + 73, 7, 127);
+        lineData.wdir = this.getBitsOrNull(start + 80, 9, 360);
+        lineData.wgustdir = this.getBitsOrNull(start + 89, 9, 360);
+        lineData.airtemp = (airtemp < -600 || airtemp > 600) ? null : airtemp / 10;
+        lineData.humidity = this.getBitsOrNull(start + 109, 7, 101);
+        lineData.dewpoint = (dewpoint < -200 || dewpoint > 500) ? null : dewpoint / 10;
+        lineData.pressure = pressure === null ? null : pressure + 799;
+        lineData.pressuretend = this.getBitsOrNull(start + 135, 2, 3);
+        lineData.pressuretend_text = this.trendText[this.getBits(start + 135, 2)];
+        lineData.visgreater = this.getBits(start + 137, 1) !== 0;
+        lineData.visibility = visibility === null ? null : visibility / 10;
+        lineData.waterlevel = waterlevel === null ? null : parseFloat((waterlevel / 100 - 10).toFixed(2));
+        lineData.leveltrend = this.getBitsOrNull(start + 157, 2, 3);
+        lineData.leveltrend_text = this.trendText[this.getBits(start + 157, 2)];
+        lineData.cspeed = tenths(159, 8, 251);
+        lineData.cdir = this.getBitsOrNull(start + 167, 9, 360);
+        lineData.cspeed2 = tenths(176, 8, 251);
+        lineData.cdir2 = this.getBitsOrNull(start + 184, 9, 360);
+        lineData.cdepth2 = this.getBitsOrNull(start + 193, 5, 31);
+        lineData.cspeed3 = tenths(198, 8, 251);
+        lineData.cdir3 = this.getBitsOrNull(start + 206, 9, 360);
+        lineData.cdepth3 = this.getBitsOrNull(start + 215, 5, 31);
+        lineData.waveheight = tenths(220, 8, 251);
+        lineData.waveperiod = this.getBitsOrNull(start + 228, 6, 61);
+        lineData.wavedir = this.getBitsOrNull(start + 234, 9, 360);
+        lineData.swellheight = tenths(243, 8, 251);
+        lineData.swellperiod = this.getBitsOrNull(start + 251, 6, 61);
+        lineData.swelldir = this.getBitsOrNull(start + 257, 9, 360);
+        lineData.seastate = this.getBitsOrNull(start + 266, 4, 13);
+        lineData.watertemp = (watertemp < -100 || watertemp > 500) ? null : watertemp / 10;
+        lineData.preciptype = this.getBitsOrNull(start + 280, 3, 7);
+        lineData.preciptype_text = this.precipText[this.getBits(start + 280, 3)];
+        lineData.salinity = salinity === null ? null : salinity / 10;
+        lineData.ice = this.getBitsOrNull(start + 292, 2, 2);
+        if (lineData.ice !== null) { lineData.ice = lineData.ice !== 0; }
+
+        return lineData;
+    },
+    /**
+     * fill_dac200_fid10  Inland ship static and voyage related data (type 8, dac 200, fid 10)
+     * Offsets are relative to start, the first bit of the application data.
+     * eri_shiptype is the ERI code, shiptype is the equivalent sea-going ship type.
+     */
+    fill_dac200_fid10: function (lineData, start) {
+        var eriShiptype = this.getBits(start + 71, 14);
+        var shiptype = this.eriShiptypeMap[eriShiptype];
+        var hazard = this.getBits(start + 85, 3);
+        var loaded = this.getBits(start + 99, 2);
+
+        if (shiptype === undefined) { shiptype = 0; }
+
+        lineData.eni = this.getText(start, 48);
+        lineData.length = (this.getBits(start + 48, 13) / 10) || null;
+        lineData.beam = (this.getBits(start + 61, 10) / 10) || null;
+        lineData.eri_shiptype = eriShiptype;
+        lineData.eri_shiptype_text = this.eriShiptypeText[eriShiptype] || 'Unknown';
+        lineData.shiptype = shiptype;
+        lineData.shiptype_text = this.shiptypeText[shiptype];
+        lineData.hazard = hazard;
+        lineData.hazard_text = this.hazardText[hazard] || 'Unknown';
+        lineData.draught = (this.getBits(start + 88, 11) / 100) || null;
+        lineData.loaded = loaded;
+        lineData.loaded_text = this.loadedText[loaded];
+        lineData.speed_q = this.getBits(start + 101, 1) !== 0;
+        lineData.course_q = this.getBits(start + 102, 1) !== 0;
+        lineData.heading_q = this.getBits(start + 103, 1) !== 0;
+
+        return lineData;
+    },
+    /**
+     * fillInlandLocation
+     * Used by fill_dac200_fid21 and fill_dac200_fid22.  The lock/bridge/terminal location (UN country, UN location,
+     * fairway section, terminal and fairway hectometre) followed by the ETA/RTA month, day, hour and minute
+     */
+    fillInlandLocation: function (lineData, start) {
+        lineData.country = this.getText(start, 12);
+        lineData.locode = this.getText(start + 12, 18);
+        lineData.section = this.getText(start + 30, 30);
+        lineData.terminal = this.getText(start + 60, 30);
+        lineData.hectometre = this.getText(start + 90, 30);
+        lineData.month = this.getBits(start + 120, 4);
+        lineData.day = this.getBits(start + 124, 5);
+        lineData.hour = this.getBits(start + 129, 5);
+        lineData.minute = this.getBits(start + 134, 6);
+
+        return lineData;
+    },
+    /**
+     * fill_dac200_fid21  Inland ETA at lock/bridge/terminal (type 6, dac 200, fid 21)
+     */
+    fill_dac200_fid21: function (lineData, start) {
+        lineData = this.fillInlandLocation(lineData, start);
+        lineData.tugs = this.getBitsOrNull(start + 140, 3, 7);
+        lineData.airdraught = (this.getBits(start + 143, 12) / 100) || null;
+
+        return lineData;
+    },
+    /**
+     * fill_dac200_fid22  Inland RTA at lock/bridge/terminal (type 6, dac 200, fid 22)
+     */
+    fill_dac200_fid22: function (lineData, start) {
+        var status = this.getBits(start + 140, 2);
+
+        lineData = this.fillInlandLocation(lineData, start);
+        lineData.status = status;
+        lineData.status_text = this.lockStatusText[status];
+
+        return lineData;
+    },
+    /**
+     * fill_dac200_fid24  Inland water levels (type 8, dac 200, fid 24)
+     * Up to 4 gauges, levels are in metres.  Gauges with an id of 0 are not used
+     */
+    fill_dac200_fid24: function (lineData, start) {
+        var i, id, level, gaugeStart;
+
+        lineData.country = this.getText(start, 12);
+        lineData.gauges = [];
+        for (i = 0; i < 4; i++) {
+            gaugeStart = start + 12 + i * 26;
+            id = this.getBits(gaugeStart, 11);
+            if (id > 0) {
+                level = this.getBits(gaugeStart + 12, 14) / 100;
+                // sign bit is 0 for negative levels
+                if (this.getBits(gaugeStart + 11, 1) === 0) { level = -level; }
+                lineData.gauges.push({id: id, level: level});
+            }
+        }
+        return lineData;
+    },
+    /**
+     * fill_dac200_fid55  Inland number of persons on board (type 8, dac 200, fid 55)
+     * Unknown values are null
+     */
+    fill_dac200_fid55: function (lineData, start) {
+        lineData.crew = this.getBitsOrNull(start, 8, 255);
+        lineData.passengers = this.getBitsOrNull(start + 8, 13, 8191);
+        lineData.personnel = this.getBitsOrNull(start + 21, 8, 255);
 
         return lineData;
     },
@@ -950,6 +2878,9 @@ aivdmDecode.prototype = {
             case 3:
             case 9:
                 return this.getBits(60, 1) !== 0;
+            case 4:
+            case 11:
+                return this.getBits(78, 1) !== 0;
             case 18:
             case 19:
                 return this.getBits(56, 1) !== 0;
@@ -970,7 +2901,10 @@ aivdmDecode.prototype = {
     getAssigned: function () {
         switch (this.msgType) {
             case 9:
+            case 18:
                 return this.getBits(146, 1);
+            case 19:
+                return this.getBits(307, 1);
             case 21:
                 return this.getBits(270, 1);
             default:
@@ -1029,6 +2963,7 @@ aivdmDecode.prototype = {
     getDay: function () {
         switch (this.msgType) {
             case 4:
+            case 11:
                 return this.getBits(56, 5);
             case 5:
                 return this.getBits(278, 5);
@@ -1102,7 +3037,11 @@ aivdmDecode.prototype = {
     getDte: function () {
         switch (this.msgType) {
             case 5:
-                return this.getBits(423, 1);
+                return this.getBits(422, 1);
+            case 9:
+                return this.getBits(142, 1);
+            case 19:
+                return this.getBits(306, 1);
             default:
                 return 0;
         }
@@ -1114,13 +3053,14 @@ aivdmDecode.prototype = {
         var epfd;
         switch (this.msgType) {
             case 4:
+            case 11:
                 epfd = this.getBits(134, 4);
                 break;
             case 5:
                 epfd = this.getBits(270, 4);
                 break;
             case 19:
-                epfd = this.getBits(310, 4);
+                epfd = this.getBits(301, 4);
                 break;
             case 21:
                 epfd = this.getBits(249, 4);
@@ -1150,6 +3090,7 @@ aivdmDecode.prototype = {
     getHour: function () {
         switch (this.msgType) {
             case 4:
+            case 11:
                 return this.getBits(61, 5);
             case 5:
                 return this.getBits(283, 5);
@@ -1171,14 +3112,10 @@ aivdmDecode.prototype = {
         if (msgType in this.posGroups) {
             var latGroup = this.posGroups[msgType]['lat'];
             var lonGroup = this.posGroups[msgType]['lon'];
-            // fetch the relevant bits
-            var latString = this.binString.substr(latGroup['start'], latGroup['length']);
-            var lonString = this.binString.substr(lonGroup['start'], lonGroup['length']);
-            // convert them
-            var lat = this.toTwosComplement(parseInt(latString, 2), latString.length) / latGroup['divisor'];
-            var lon = this.toTwosComplement(parseInt(lonString, 2), lonString.length) / lonGroup['divisor'];
 
-            return {"lat": parseFloat(lat.toFixed(4)), "lon": parseFloat(lon.toFixed(4))};
+            return this.getPosition(
+                lonGroup['start'], lonGroup['length'], latGroup['start'], latGroup['length'], latGroup['divisor']
+            );
 
         } else {  // Not a message type that contains a position
             return {'lat': null, 'lon': null};
@@ -1212,7 +3149,7 @@ aivdmDecode.prototype = {
         // See info in http://catb.org/gpsd/AIVDM.html
         if (this.includeMID) {
             var mid;
-            var mmsi = this.getMMSI();
+            var mmsi = this.getMMSI().lpad('0', 9);
             var nationality;
             if (mmsi !== null && mmsi.length === 9) {
                 // Coastal station
@@ -1271,6 +3208,7 @@ aivdmDecode.prototype = {
     getMinute: function () {
         switch (this.msgType) {
             case 4:
+            case 11:
                 return this.getBits(66, 6);
             case 5:
                 return this.getBits(288, 6);
@@ -1281,7 +3219,8 @@ aivdmDecode.prototype = {
     getMonth: function () {
         switch (this.msgType) {
             case 4:
-                return this.getBits(53, 4);
+            case 11:
+                return this.getBits(52, 4);
             case 5:
                 return this.getBits(274, 4);
             default:
@@ -1362,19 +3301,99 @@ aivdmDecode.prototype = {
             case 1:
             case 2:
             case 3:
+            case 4:
+            case 11:
                 return this.getBits(149, 19);
             case 9:
             case 18:
-                return this.getBits(148, 19);
+                return this.getBits(148, 20);
+            case 26:
+                return this.getBits(this.binString.length - 20, 20);
             default:
                 return false;
         }
     },
+    /**
+     * getCommState
+     * Decodes the SOTDMA or ITDMA communication state held in the radio field.  Types 1, 2, 4 and 11 use SOTDMA and
+     * type 3 ITDMA.  Types 9, 18 and 26 have a selector bit before the state (0 SOTDMA, 1 ITDMA), except that a
+     * type 18 from a carrier sense (cs) unit has a fixed state, which is returned as just {scheme: 'CS'}
+     * @returns {*} {scheme, sync_state, sync_state_text, ...} or null if the type has no radio field
+     *      SOTDMA: slot_timeout (frames until the slot changes) and, depending on it, received_stations
+     *              (timeout 3, 5 or 7), slot_number (2, 4 or 6), utc_hour and utc_minute (1) or slot_offset (0)
+     *      ITDMA:  slot_increment, slots (number of slots, 0-4 for 1-5 slots, 5-7 for 2-4 slots with 8192 added
+     *              to the increment) and keep (the slot is kept for another frame)
+     */
+    getCommState: function () {
+        var start, itdma, commState, timeout, subMessage;
+
+        switch (this.msgType) {
+            case 1:
+            case 2:
+            case 3:
+            case 4:
+            case 11:
+                start = 149;
+                itdma = this.msgType === 3;
+                break;
+            case 9:
+            case 18:
+                if (this.msgType === 18 && this.getBits(141, 1) === 1) {
+                    return {scheme: 'CS'};
+                }
+                start = 149;
+                itdma = this.getBits(148, 1) === 1;
+                break;
+            case 26:
+                start = this.binString.length - 19;
+                itdma = this.getBits(start - 1, 1) === 1;
+                break;
+            default:
+                return null;
+        }
+
+        commState = {
+            scheme: itdma ? 'ITDMA' : 'SOTDMA',
+            sync_state: this.getBits(start, 2),
+            sync_state_text: this.syncStateText[this.getBits(start, 2)]
+        };
+        if (itdma) {
+            commState.slot_increment = this.getBits(start + 2, 13);
+            commState.slots = this.getBits(start + 15, 3);
+            commState.keep = this.getBits(start + 18, 1) !== 0;
+            return commState;
+        }
+
+        timeout = this.getBits(start + 2, 3);
+        subMessage = this.getBits(start + 5, 14);
+        commState.slot_timeout = timeout;
+        switch (timeout) {
+            case 3:
+            case 5:
+            case 7:
+                commState.received_stations = subMessage;
+                break;
+            case 2:
+            case 4:
+            case 6:
+                commState.slot_number = subMessage;
+                break;
+            case 1:
+                commState.utc_hour = this.getBits(start + 5, 5);
+                commState.utc_minute = this.getBits(start + 10, 7);
+                break;
+            default:
+                commState.slot_offset = subMessage;
+        }
+        return commState;
+    },
     getRaim: function () {
         switch (this.msgType) {
             case 1:
             case 2:
             case 3:
+            case 4:
+            case 11:
                 return this.getBits(148, 1) !== 0;
             case 9:
             case 18:
@@ -1395,6 +3414,9 @@ aivdmDecode.prototype = {
             case 2:
             case 3:
                 return this.getBits(137, 6);
+            case 4:
+            case 11:
+                return this.getBits(72, 6);
             case 9:
                 return this.getBits(128, 6);
             case 18:
@@ -1461,25 +3483,22 @@ aivdmDecode.prototype = {
     },
     /**
      * getTurn()  Called only for types 1,2 and 3
-     * @returns {null}
+     * The rate of turn in degrees per minute: (raw / 4.733) squared, with the sign of raw, rounded as gpsd does
+     * @returns {*} The rate of turn, 'fastright' or 'fastleft' (turning at more than 5 degrees per 30 seconds with no
+     *              turn indicator) or 'nan' (not available)
      */
     getTurn: function () {
-        var turn = this.getBits(42, 8);
+        var turn = this.getSignedBits(42, 8);
         switch (true) {
-            case turn === 0:
-                break;
-            case turn > 0 && turn <= 126:
-                return '' + (4.733 * Math.sqrt(turn));
             case turn === 127:
                 return 'fastright';
-            case turn < 0 && turn >= -126:
-                return '' + (4.733 * Math.sqrt(turn));
             case turn === -127:
                 return 'fastleft';
-            case turn == 128 || turn == -128:
+            case turn === -128:
                 return "nan";
             default:
-                return "nan";
+                // || 0 so that small left turns aren't -0
+                return (turn < 0 ? -1 : 1) * Math.round(Math.pow(turn / 4.733, 2)) || 0;
         }
     },
     getType: function () {
@@ -1539,6 +3558,7 @@ aivdmDecode.prototype = {
     getYear: function () {
         switch (this.msgType) {
             case 4:
+            case 11:
                 return this.getBits(38, 14);
             default:
                 return false;
@@ -1551,64 +3571,206 @@ aivdmDecode.prototype = {
      * makes aivdm sentences ready for data fetching by using buildBinString to convert them to a binary string
      * Returns true when a message is ready for data to be fetched.
      * For single part messages this is after processing of the aivdm payload
-     * For multi part messages the payloads are accumulated until all have been received, then the binString
-     * conversion is done.
+     * For multi part messages the payloads are accumulated in this.fragmentGroups until all have been received, then
+     * the binString conversion is done.  Several messages (from different sources, channels or with different
+     * sequence IDs) can be reassembled at once and their fragments may arrive in any order.
+     * Incomplete messages are dropped (see dropFragments) after this.fragmentTimeout, or when a fragment that has
+     * already been received for the same key arrives again (i.e. the sequence ID has been reused).
      * For multi part messages returns false for the first and any intermediate messages
      * @param line         A string containing an AIVDM or AIVDO sentence.  May have a tag block on the front of the msg
      * @param payload      The payload portion of the AIVD? string
+     * @param source       Optional.  Identifies the receiver/feed that the line came from
      * @returns {boolean}  true when this.binString has been set, false when this.binString is not set
      */
-    manageFragments: function (line, payload) {
-        // this.splitParts is an array of payloads that are joined to become the binString of multi msgs
-        // this.splitLines is an array of the received lines including AIVDM's
+    manageFragments: function (line, payload, source) {
+        var key, group;
+
+        this.expireFragments(Date.now());
+
         if (this.numFragments === 1) {
             this.splitLines = [line];
-            this.binString = this.buildBinString(payload);
+            this.splitChecksumOk = this.checksumOk;
+            this.splitTagBlock = this.tagBlock;
+            this.splitUscg = this.uscg;
+            this.binString = this.buildBinString(payload, this.fillBits);
             this.msgType = this.getType();
             return true;
         }
 
-        else if (this.numFragments > 1 && this.fragmentNum === 1) {
-            this.splitParts = [payload];
-            this.splitLines = [line];
-            this.splitPart1Sequence = this.seqMsgId;
-            this.binString = this.buildBinString(payload);
-            this.splitPart1Type = this.getType();
-            this.msgType = this.getType();
+        if (!(this.numFragments > 1 && this.numFragments <= this.maxFragments) ||
+            !(this.fragmentNum >= 1 && this.fragmentNum <= this.numFragments)) {
+            this.lastError = 'bad fragment number';
             return false;
         }
 
-        else if (this.numFragments > 1 && this.fragmentNum > 1) {
-            if (this.seqMsgId === this.splitPart1Sequence) {
-                this.splitParts.push(payload);
-                this.splitLines.push(line);
-            }
+        key = this.fragmentKey(source);
+        group = this.fragmentGroups[key];
+        if (group && group.payloads[this.fragmentNum - 1] !== undefined) {
+            this.dropFragments(key, 'replaced');
+            group = null;
+        }
+        if (!group) {
+            group = {
+                key: key,
+                source: source || '',
+                channel: this.channel,
+                seqMsgId: this.seqMsgId,
+                numFragments: this.numFragments,
+                received: 0,
+                payloads: [],
+                lines: [],
+                checksumOk: true,
+                tagBlock: null,
+                uscg: null,
+                fillBits: 0,
+                created: Date.now()
+            };
+            this.fragmentGroups[key] = group;
         }
 
+        group.payloads[this.fragmentNum - 1] = payload;
+        group.lines[this.fragmentNum - 1] = line;
+        group.checksumOk = group.checksumOk && this.checksumOk;
+        // Fields from the tag block and USCG fields of the first fragment take precedence
+        group.tagBlock = this.mergeLineFields(group.tagBlock, this.tagBlock);
+        group.uscg = this.mergeLineFields(group.uscg, this.uscg);
+        group.received++;
         if (this.fragmentNum === this.numFragments) {
-            var parts = this.splitParts.join('');
-            this.binString = this.buildBinString(parts);
-            this.msgType = this.splitPart1Type;
+            // The fill bits of the last fragment apply to the whole message
+            group.fillBits = this.fillBits;
+        }
+
+        if (group.received === group.numFragments) {
+            delete this.fragmentGroups[key];
+            this.splitLines = group.lines;
+            this.splitChecksumOk = group.checksumOk;
+            this.splitTagBlock = group.tagBlock;
+            this.splitUscg = group.uscg;
+            this.binString = this.buildBinString(group.payloads.join(''), group.fillBits);
+            this.msgType = this.getType();
             return true;
         } else {
             return false;
         }
     },
+    /**
+     * fragmentKey
+     * The key in this.fragmentGroups of the current sentence's message.
+     * If the line's tag block has a group (g:) then the group ID is used in place of the channel and sequence ID, as
+     * relays may strip or reuse the sequence ID.  Group IDs are only unique per station, so if source isn't given
+     * the tag block source (s:), or else the USCG receiver ID, is used in either case.  As often only the first
+     * sentence of a group has the s: field, a grouped sentence without any source joins the group with its ID that
+     * is being reassembled.  The talker and formatter (e.g. AIVDM or AIVDO) are part of the key, so that own ship
+     * fragments are never mixed with those of received messages.
+     * @param source    Optional.  Identifies the receiver/feed that the sentence came from
+     * @returns {string}
+     */
+    fragmentKey: function (source) {
+        var seqMsgId = isNaN(this.seqMsgId) ? '' : this.seqMsgId;
+        var sentence = this.talker + (this.ownShip ? 'VDO' : 'VDM');
+        var groupSuffix;
+
+        if (!source && this.tagBlock && this.tagBlock.source) {
+            source = this.tagBlock.source;
+        }
+        if (!source && this.uscg && this.uscg.receiver) {
+            source = this.uscg.receiver;
+        }
+        if (this.tagBlock && this.tagBlock.group) {
+            groupSuffix = ':' + sentence + ':g:' + this.tagBlock.group.id;
+            if (!source) {
+                return _.find(_.keys(this.fragmentGroups), function (key) {
+                    return key.substr(key.length - groupSuffix.length) === groupSuffix;
+                }) || groupSuffix;
+            }
+            return source + groupSuffix;
+        }
+        return [source || '', sentence, this.channel, seqMsgId, this.numFragments].join(':');
+    },
+    /**
+     * mergeLineFields
+     * Merges the tag block or USCG fields of a fragment into those of its message
+     * @param merged    The fields of the message so far (or null)
+     * @param fields    The fields of the current fragment (or null)
+     * @returns {*}     The fields of the first fragment take precedence
+     */
+    mergeLineFields: function (merged, fields) {
+        if (!fields) { return merged; }
+        return this.fragmentNum === 1 ? _.extend({}, merged, fields) : _.defaults(merged || {}, fields);
+    },
+    /**
+     * expireFragments
+     * Drops the incomplete multi part messages that were started more than this.fragmentTimeout before now
+     * @param now  Time in milliseconds (i.e. Date.now())
+     */
+    expireFragments: function (now) {
+        var self = this;
+        _.each(_.keys(this.fragmentGroups), function (key) {
+            if (now - self.fragmentGroups[key].created > self.fragmentTimeout) {
+                self.dropFragments(key, 'timeout');
+            }
+        });
+    },
+    /**
+     * dropFragments
+     * Removes an incomplete message from this.fragmentGroups and reports it to this.onFragmentsDropped
+     * @param key       The key in this.fragmentGroups
+     * @param reason    'timeout' or 'replaced' (or any other reason given by the caller, e.g. 'end of stream')
+     */
+    dropFragments: function (key, reason) {
+        var group = this.fragmentGroups[key];
+        var dropped;
+
+        if (!group) { return; }
+        delete this.fragmentGroups[key];
+
+        dropped = {
+            reason: reason,
+            source: group.source,
+            channel: group.channel,
+            seqMsgId: group.seqMsgId,
+            numFragments: group.numFragments,
+            received: group.received,
+            aivdm: _.compact(group.lines)
+        };
+        if (this.isDebug) {
+            console.log(colors.yellow('Dropped incomplete message (' + reason + ') ' + key));
+        }
+        if (typeof(this.onFragmentsDropped) === 'function') {
+            this.onFragmentsDropped(dropped);
+        }
+    },
     /**
      * decode
-     * @param line          A line containing an !AIVD sentence
+     * @param line          A line containing an !xxVDM or !xxVDO sentence (xx is any talker ID)
+     * @param source        Optional.  Identifies the receiver/feed that the line came from, so that multi part
+     *                      messages from different sources are reassembled separately
      * @returns {boolean}   true if this.binString has been set (ready for data to be fetched
      *                      false if:
      *                          binString not set,
-     *                          line is not an !AIVD
-     *                          !AIVD is not a supported type (see this.supportedTypes)
+     *                          line is not an !xxVDM or !xxVDO
+     *                          the message is not a supported type (see this.supportedTypes)
+     *                          the checksum is bad and this.decodeBadChecksum is false
+     *                      this.lastError says which of these (other than waiting for fragments) it was
      */
-    decode: function (bLine) {
-        var line = bLine.toString('utf8');
+    decode: function (bLine, source) {
+        // Without its line ending, which would otherwise end up in the last field of a USCG trailer
+        var line = bLine.toString('utf8').replace(/[\r\n]+$/, '');
+
+        this.lastError = null;
 
-        var aivdmPos = line.indexOf('!AIVD');
-        if (aivdmPos !== -1) {
+        var sentenceMatch = /!([A-Z]{2})VD([MO]),/.exec(line);
+        if (sentenceMatch) {
+            var aivdmPos = sentenceMatch.index;
+            this.talker = sentenceMatch[1];
+            this.ownShip = sentenceMatch[2] === 'O';
             this.AIVDM = line.substr(aivdmPos);
+            this.tagBlock = this.parseTagBlock(line.substr(0, aivdmPos));
+            this.checksumOk = this.verifyChecksum(this.AIVDM);
+            if (!this.checksumOk && !this.decodeBadChecksum) {
+                this.lastError = 'bad checksum';
+                return false;
+            }
             var aivdmFragments = this.AIVDM.split(',');
             this.numFragments = parseInt(aivdmFragments[1]);
             this.fragmentNum = parseInt(aivdmFragments[2]);
@@ -1622,8 +3784,15 @@ aivdmDecode.prototype = {
 
             this.channel = aivdmFragments[4];
             var payload = aivdmFragments[5];
+            // [6] is the fill bits followed by the checksum
+            this.fillBits = parseInt(aivdmFragments[6]) || 0;
+            this.uscg = this.parseUscgFields(aivdmFragments.slice(7));
+            if (payload === undefined || !/^[0-W`-w]*$/.test(payload)) {
+                this.lastError = 'bad payload';
+                return false;
+            }
 
-            if (this.manageFragments(line, payload)) {
+            if (this.manageFragments(line, payload, source)) {
                 if (_.contains(this.supportedTypes, this.msgType)) {
                     this.msgType = this.getType();
                     if (this.msgType == 24) {
@@ -1632,16 +3801,161 @@ aivdmDecode.prototype = {
                     return this.getData(bLine);
                     //return true;    // this.binString is ready
                 } else {
+                    this.lastError = 'unsupported type';
                     return false;
                 }
             } else {            // this.binString is not ready
                 return false;
             }
-        } else {  // no !AIVD on front of line
+        } else {  // no !xxVDM or !xxVDO in the line
+            this.lastError = 'not a VDM or VDO sentence';
             return false;
         }
     },
-    buildBinString: function (payload) {
+    /**
+     * parseTagBlock
+     * Parses an NMEA 4.0 tag block, e.g. \s:rcvr1,c:1241544035,g:1-2-1234*6B\
+     * @param text  The part of the line in front of the sentence
+     * @returns {*} null if there is no tag block, else an object with those of the following that are present:
+     *      source          s:  Source station
+     *      timestamp       c:  UNIX time in seconds
+     *      group           g:  {sentence, total, id}  This is sentence x of y in group id
+     *      line            n:  Line count
+     *      destination     d:  Destination
+     *      relative_time   r:  Relative time
+     *      text            t:  Text
+     *      checksum_ok         true if the tag block's checksum matches
+     */
+    parseTagBlock: function (text) {
+        var match = /\\([^\\]*)\\/.exec(text);
+        var tagBlock, starPos, body, checksum, i;
+
+        if (!match) {
+            return null;
+        }
+        starPos = match[1].indexOf('*');
+        body = starPos === -1 ? match[1] : match[1].substr(0, starPos);
+        checksum = 0;
+        for (i = 0; i < body.length; i++) {
+            checksum ^= body.charCodeAt(i);
+        }
+
+        tagBlock = {checksum_ok: starPos !== -1 && checksum === parseInt(match[1].substr(starPos + 1, 2), 16)};
+        _.each(body.split(','), function (field) {
+            var value = field.substr(2);
+            var group;
+
+            switch (field.substr(0, 2)) {
+                case 's:':
+                    tagBlock.source = value;
+                    break;
+                case 'c:':
+                    tagBlock.timestamp = parseInt(value, 10);
+                    // Some sources give milliseconds
+                    if (tagBlock.timestamp > 1e11) { tagBlock.timestamp = tagBlock.timestamp / 1000; }
+                    break;
+                case 'g:':
+                    group = value.split('-');
+                    tagBlock.group = {sentence: parseInt(group[0], 10), total: parseInt(group[1], 10), id: group[2]};
+                    break;
+                case 'n:':
+                    tagBlock.line = parseInt(value, 10);
+                    break;
+                case 'd:':
+                    tagBlock.destination = value;
+                    break;
+                case 'r:':
+                    tagBlock.relative_time = parseInt(value, 10);
+                    break;
+                case 't:':
+                    tagBlock.text = value;
+                    break;
+            }
+        });
+        return tagBlock;
+    },
+    /**
+     * parseUscgFields
+     * Parses the fields that the USCG Extended AIVDM format adds after the checksum,
+     * e.g. !AIVDM,1,1,,A,...,0*2B,s22716,d-096,T45.43546472,S1743,x10934,r003669945,1208997602
+     * @param fields    The comma separated fields after the checksum
+     * @returns {*} null if there are none, else an object with those of the following that are present:
+     *      signal_strength     s:  Received signal strength (receiver units)
+     *      rssi                d:  Received signal strength in dBm
+     *      receiver_time       t:  Receiver time of day, hhmmss.ss
+     *      time_of_arrival     T:  Time of arrival within the minute, in seconds
+     *      slot                S:  Slot number
+     *      counter             x:  Sentence counter
+     *      quality             q:  Quality indicator
+     *      receiver            r, b or B:  Receiver (station) ID
+     *      timestamp           UNIX time in seconds that the receiver logged the sentence
+     */
+    parseUscgFields: function (fields) {
+        var uscg = {};
+
+        _.each(fields, function (field) {
+            var value = field.substr(1);
+
+            if (/^\d+$/.test(field)) {
+                uscg.timestamp = parseInt(field, 10);
+                return;
+            }
+            switch (field.charAt(0)) {
+                case 's':
+                    uscg.signal_strength = parseInt(value, 10);
+                    break;
+                case 'd':
+                    uscg.rssi = parseInt(value, 10);
+                    break;
+                case 't':
+                    uscg.receiver_time = value;
+                    break;
+                case 'T':
+                    uscg.time_of_arrival = parseFloat(value);
+                    break;
+                case 'S':
+                    uscg.slot = parseInt(value, 10);
+                    break;
+                case 'x':
+                    uscg.counter = parseInt(value, 10);
+                    break;
+                case 'q':
+                    uscg.quality = value;
+                    break;
+                case 'r':
+                case 'b':
+                case 'B':
+                    uscg.receiver = value;
+                    break;
+            }
+        });
+        return _.isEmpty(uscg) ? null : uscg;
+    },
+    /**
+     * verifyChecksum
+     * @param sentence      The sentence, starting with the '!'.  Anything after the 2 checksum digits is ignored
+     * @returns {boolean}   true if the checksum is present and matches the sentence
+     */
+    verifyChecksum: function (sentence) {
+        var starPos = sentence.indexOf('*');
+        var checksum = 0;
+        var i;
+
+        if (starPos === -1) {
+            return false;
+        }
+        for (i = 1; i < starPos; i++) {
+            checksum ^= sentence.charCodeAt(i);
+        }
+        return checksum === parseInt(sentence.substr(starPos + 1, 2), 16);
+    },
+    /**
+     * buildBinString
+     * @param payload   The six bit armoured payload
+     * @param fillBits  Optional.  The number of fill bits to remove from the end of the binary string
+     * @returns {string}
+     */
+    buildBinString: function (payload, fillBits) {
         var binStr = '';
         var payloadArr = payload.split("");
 
@@ -1655,6 +3969,9 @@ aivdmDecode.prototype = {
             strBin = sprintf('%06s', strBin);
             binStr += strBin;
         });
+        if (fillBits > 0 && fillBits < 6) {
+            binStr = binStr.substr(0, binStr.length - fillBits);
+        }
         if (module.parent && module.parent.exports.isDebug) {
         //if (swu.hasProp(module, 'parent.exports.isDebug')) {
             console.log('binString for type ', parseInt(binStr.substr(0, 6), 2), payload, binStr);
@@ -1664,6 +3981,80 @@ aivdmDecode.prototype = {
     getBits: function (start, len) {
         return parseInt(this.binString.substr(start, len), 2);
     },
+    /**
+     * getText
+     * Converts len bits of this.binString, starting at start, to text using this.char_table.
+     * '@' padding and surrounding spaces are removed
+     * If fullAscii is true then this.sixbit_ascii_table is used instead and only trailing '@'s and spaces are removed
+     */
+    getText: function (start, len, fullAscii) {
+        var text = this.getRawText(start, len, fullAscii);
+        if (fullAscii) {
+            return text.replace(/[@ ]+$/, '');
+        }
+        return text.replace(/@/g, '').trim();
+    },
+    /**
+     * getRawText
+     * Reads six bit text without removing the '@' padding or trimming it
+     * @param fullAscii  If true then the full six bit ASCII table is used, otherwise char_table
+     */
+    getRawText: function (start, len, fullAscii) {
+        var table = fullAscii ? this.sixbit_ascii_table : this.char_table;
+        var textArray = this.binString.substr(start, len).match(/.{6}/g);
+        var text = '';
+        _.each(textArray, function (binChar) {
+            text += table[parseInt(binChar, 2)];
+        });
+        return text;
+    },
+    /**
+     * getGpsdText
+     * Reads six bit text as gpsd's from_sixbit() does: up to the first '@' (padding), then trailing spaces are
+     * trimmed, but starting from the second to last character.  So 'DA9877 ' is left as it is, while
+     * 'BB 39               ' becomes 'BB 39'
+     */
+    getGpsdText: function (start, len) {
+        var self = this;
+        var textArray = this.binString.substr(start, len).match(/.{6}/g) || [];
+        var text = _.map(textArray, function (binChar) {
+            return self.char_table[parseInt(binChar, 2)];
+        }).join('');
+        var untrimmed = text.split('@')[0];
+        var trimmed;
+
+        // Trimming only starts if the text reaches the second to last character
+        if (untrimmed.length < text.length - 1) { return untrimmed; }
+        trimmed = untrimmed.substr(0, text.length - 1).replace(/[ @]+$/, '');
+        return trimmed.length < text.length - 1 ? trimmed : untrimmed;
+    },
+    /**
+     * getBitsOrNull
+     * As getBits, but returns null if the value is notAvailable or greater (i.e. 'not available' or reserved)
+     */
+    getBitsOrNull: function (start, len, notAvailable) {
+        var value = this.getBits(start, len);
+        return (isNaN(value) || value >= notAvailable) ? null : value;
+    },
+    /**
+     * getSignedBits
+     * As getBits, but the field is treated as a two's complement signed integer
+     */
+    getSignedBits: function (start, len) {
+        return this.toTwosComplement(this.getBits(start, len), len);
+    },
+    /**
+     * getPosition
+     * Converts the two's complement lon and lat fields at the given positions of this.binString to degrees,
+     * rounded to 4 decimal places
+     * @returns {{lat: number, lon: number}}
+     */
+    getPosition: function (lonStart, lonLength, latStart, latLength, divisor) {
+        var lon = this.getSignedBits(lonStart, lonLength) / divisor;
+        var lat = this.getSignedBits(latStart, latLength) / divisor;
+
+        return {"lat": parseFloat(lat.toFixed(4)), "lon": parseFloat(lon.toFixed(4))};
+    },
     asciidec_2_8bit: function (dec) {
         var newDec = dec - 48;
         if (newDec > 40) {
@@ -1684,142 +4075,12 @@ aivdmDecode.prototype = {
     }
 };
 
-module.exports = { aivdmDecode: aivdmDecode };
-
-if (require.main === module) {
-    var SW_utilsModule = require('SW_utils');
-    SW_utils = new SW_utilsModule.SW_Utils('aivdmDecode', false);
-    /**
-     * testSet
-     * An array of objects.  Each object contains:
-     *      aivdm: The raw aivdm sentence to be decoded
-     *      gpsd:  aivdm as decoded by gpsdecode
-     *      test:  The fields within the decoded aivdm to test
-     * @type {*[]}
-     */
-    var testSet = [
-        // type 5 first msg
-        {aivdm: '!AIVDM,2,1,4,A,539cRCP00000@7WSON08:3?V222222222222221@4@=3340Ht50000000000,0*13',
-         gpsd: ''
-        },
-        // type 5 second msg
-        {aivdm: '!AIVDM,2,2,4,A,00000000000,2*20',
-         gpsd: {"class":"AIS","device":"stdin","type":5,"repeat":0,"mmsi":211477070,"scaled":true,"imo":0,"ais_version":0,"callsign":"DA9877 ","shipname":"BB 39","shiptype":80,"shiptype_text":"Tanker - all ships of this type","to_bow":34,"to_stern":13,"to_port":3,"to_starboard":3,"epfd":1,"epfd_text":"GPS","eta":"00-00T24:60Z","draught":2.0,"destination":"","dte":0},
-         test: ['type', 'mmsi', 'imo', 'callsign', 'shipname', 'shiptype', 'shiptype_text', 'to_bow', 'to_stern', 'to_port',
-                'to_starboard', 'epfd', 'eta', 'draught', 'destination', 'dte']
-        },
-        // type 1
-        {aivdm: '!AIVDM,1,1,,A,144iRPgP001N;PjOb:@F1?vj0PSB,0*47',
-         gpsd:  {"class":"AIS","device":"stdin","type":1,"repeat":0,"mmsi":273441410,"scaled":true,"status":"15","status_text":"Not defined","turn":"nan","speed":0.0,"accuracy":false,"lon":20.5739,"lat":55.3277,"course":154.0,"heading":511,"second":25,"maneuver":0,"raim":false,"radio":133330},
-         test:  ['type', 'mmsi', 'status', 'status_text','turn', 'speed', 'accuracy', 'lon', 'lat', 'course', 'heading', 'second', 'maneuver', 'raim', 'radio']
-        },
-        // type 3
-        {aivdm: '!AIVDM,1,1,,A,33aTCJ0Oh;8>Q>7kW>eKwaf6010P,0*63',
-         gpsd:  {"class":"AIS","device":"stdin","type":3,"repeat":0,"mmsi":244913000,"scaled":true,"status":"0","status_text":"Under way using engine","turn":"fastright","speed":1.1,"accuracy":false,"lon":115.0198,"lat":-21.6479,"course":307.0,"heading":311,"second":3,"maneuver":0,"raim":false,"radio":4128},
-         test:  ['type', 'mmsi', 'status', 'status_text', 'turn', 'speed', 'accuracy', 'lon', 'lat', 'course', 'heading', 'second', 'maneuver', 'raim', 'radio']
-        },
-        // type 9
-        {aivdm: "!AIVDM,1,1,,A,97oordNF>hPppq5af003QHi0S7sE,0*52",
-         gpsd: {
-            "class": "AIS",
-            "device": "stdin",
-            "type": 9,
-            "repeat": 0,
-            "mmsi": 528349873,
-            "scaled": true,
-            "alt": 3672,
-            "speed": 944,
-            "accuracy": true,
-            "lon": 12.4276,
-            "lat": -38.9393,
-            "course": 90.1,
-            "second": 35,
-            "regional": 16,
-            "dte": 0,
-            "raim": false,
-            "radio": 818901
-         },
-         test: ['type', 'mmsi', 'speed', 'lon', 'lat']
-        },
-        // type 24
-        {aivdm: '!AIVDM,1,1,,B,H7OeD@QLE=A<D63:22222222220,2*25',
-         gpsd:  {"class":"AIS","device":"stdin","type":24,"repeat":0,"mmsi":503010370,"scaled":true,"part":"A","shipname":"WESTSEA 2"},
-         test:  ['type', 'mmsi', 'part', 'shipname']
-        },
-        //type 24 part A
-        {aivdm: '!AIVDM,1,1,,A,H697GjPhT4t@4qUF3;G;?F22220,2*7E',
-         gpsd:  {"class":"AIS","device":"stdin","type":24,"repeat":0,"mmsi":412211146,"scaled":true,"part":"A","shipname":"LIAODANYU 25235"},
-         test: ['type', 'mmsi', 'part', 'shipname']
-        },
-        // type 24 part B
-        {aivdm: '!AIVDM,1,1,,B,H3mw=<TT@B?>1F0<7kplk01H1120,0*5D',
-         gpsd:  {"class":"AIS","device":"stdin","type":24,"repeat":0,"mmsi":257936690,"scaled":true,"part":"B","shiptype":36,"shiptype_text":"Sailing","vendorid":"PRONAV","model":3,"serial":529792,"callsign":"LG3843","to_bow":11,"to_stern":1,"to_port":1,"to_starboard":2},
-         test:  ['type', 'mmsi', 'part', 'shiptype', 'shiptype_text', 'vendorid', 'model', 'serial', 'callsign', 'to_bow', 'to_stern', 'to_port', 'to_starboard']
-        }
-    ];
-    var aisDecoder = new aivdmDecode({returnJson: false, aivdmPassthrough: true});
-
-    _.each(testSet, function (val, index) {
-        var decoded = aisDecoder.decode(val.aivdm);
-        if (decoded) {
-            var testSubject = aisDecoder.getData(val.aivdm);
-            console.log(colors.cyan('Test subject ' + index));
-            if (testSubject && testSubject.type) {
-            //if (swu.hasProp(testSubject, 'type')) {
-                console.log(colors.cyan('Type: ' + testSubject.type));
-            }
-            if (val.gpsd.part) {
-                console.log(sprintf(colors.cyan('Part %s'), val.gpsd.part));
-            }
-            if (val.test) {
-                _.each(val.test, function (item) {
-                    console.log('Testing: ' + item);
-                    // test for undefined item in testSubject
-                    if (testSubject[item] === undefined) {
-                        console.log(colors.red('Item missing ' + item));
-                        return;
-                    }
-
-                    // test that both items are the same type
-                    else if (typeof(val.gpsd[item]) !== typeof(testSubject[item])) {
-                        console.log(colors.red('Type mismatch: gpsd: ' + typeof(val.gpsd[item]) + ' me: ' + typeof(testSubject[item])));
-                        return;
-                    }
-
-                    // if gpsd is int then testSubject should also be int
-                    else if (SW_utils.isInt(val.gpsd[item])) {
-                        if (!SW_utils.isInt(testSubject[item])) {
-                            console.log(colors.red('Type mismatch (gpsd int testsubject float'));
-                            return;
-                        }
-
-                        // if gpsd is float then testSubject should also be float
-                    } else if (SW_utils.isFloat(val.gpsd[item])) {
-                        if (!SW_utils.isFloat(testSubject[item])) {
-                            console.log(colors.red('Type mismatch (gpsd float testsubject int'));
-                            return
-                        }
-                    }
-                    // finally, test items for equality
-                    if (typeof(val.gpsd[item]) === 'string') {
-                        gItem = val.gpsd[item].trim();
-                        tItem = testSubject[item].trim();
-                    } else {
-                        gItem = val.gpsd[item];
-                        tItem = testSubject[item];
-                    }
-                    if (gItem === tItem) {
-                        console.log(
-                            sprintf(colors.yellow('Test ok gpsd: %s'), gItem) +
-                            sprintf(colors.cyan(' me: %s'), tItem)
-                        );
-                    } else {
-                        console.log(colors.red('Test failed'));
-                        console.log(colors.red('gpsd: ' + val.gpsd[item] + ' me: ' + testSubject[item]))
-                    }
-                })
-            }
-        }
-        if (this.isDebug) { console.log(colors.magenta('----------------------------------------------------------')); }
+module.exports = { aivdmDecode: aivdmDecode, aivdmEncode: require('./aivdmEncode').aivdmEncode };
+// aivdmStream and vesselRegistry require this module, so they're only loaded when they're first used.  Then either
+// module can be required first
+_.each({aivdmStream: './aivdmStream', vesselRegistry: './vesselRegistry'}, function (path, name) {
+    Object.defineProperty(module.exports, name, {
+        enumerable: true,
+        get: function () { return require(path)[name]; }
     });
-}
+});
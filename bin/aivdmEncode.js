@@ -0,0 +1,646 @@
+var _       = require('underscore');
+var sprintf = require('sprintf-js').sprintf;
+
+/**
+ * used to encode AIS messages.  The reverse of aivdmDecode.
+ * Encodes types 1 to 27 from an object shaped like the output of aivdmDecode.getData()
+ *
+ * Normal usage:
+ *      var encoder = new aivdmEncode.aivdmEncode(options)
+ *          then
+ *      var sentences = encoder.encode(msgData);
+ *
+ *      sentences is an array of !AIVDM sentences (one per fragment), or false if the message type is not supported.
+ *      Payloads longer than maxPayload characters are split into fragments that share a sequence ID.
+ *
+ *      Types 6, 8, 17, 25 and 26 are encoded from the raw application data in msgData.data (as returned by
+ *      aivdmDecode) rather than from any decoded application fields.
+ *
+ *      If msgData.scaled is false (aivdmDecode's unscaled option) then lat/lon, speed, course, turn and draught are
+ *      taken to be the raw integers.
+ *
+ *      Fields that are null (aivdmDecode's nullNotAvailable option) are written as their 'not available' value.
+ *
+ * @param {object} options:
+ *      channel:            The AIS channel ('A' or 'B') written to the sentences (default 'A')
+ *      talker:             The talker and sentence formatter, without the '!' (default 'AIVDM')
+ *      maxPayload:         The maximum number of payload characters in a sentence (default 60)
+ */
+var aivdmEncode = function (options) {
+    if (options) {
+        this.channel = options.channel || 'A';
+        this.talker = options.talker || 'AIVDM';
+        this.maxPayload = options.maxPayload || 60;
+    } else {
+        this.channel = 'A';
+        this.talker = 'AIVDM';
+        this.maxPayload = 60;
+    }
+
+    this.unscaled = false;  // true while encoding a message whose scaled fields are raw integers
+
+    this.bits = [];         // The message being built, one '0' or '1' per element
+    this.sequenceId = 0;    // Sequence ID of the next multi fragment message (0 - 9)
+};
+
+aivdmEncode.prototype = {
+    /**
+     * encode
+     * @param data          An object shaped like aivdmDecode.getData() output (or the JSON of one)
+     * @returns {*}         An array of sentences or false if data.type is not supported
+     */
+    encode: function (data) {
+        if (typeof(data) === 'string') {
+            data = JSON.parse(data);
+        }
+        if (!data) { return false; }
+        this.unscaled = data.scaled === false;
+
+        switch (data.type) {
+            case 1:
+            case 2:
+            case 3:
+                this.pack_1_2_3(data);
+                break;
+            case 4:
+            case 11:
+                this.pack_4(data);
+                break;
+            case 5:
+                this.pack_5(data);
+                break;
+            case 6:
+                this.pack_6(data);
+                break;
+            case 7:
+            case 13:
+                this.pack_7_13(data);
+                break;
+            case 8:
+                this.pack_8(data);
+                break;
+            case 9:
+                this.pack_9(data);
+                break;
+            case 10:
+                this.pack_10(data);
+                break;
+            case 12:
+                this.pack_12(data);
+                break;
+            case 14:
+                this.pack_14(data);
+                break;
+            case 15:
+                this.pack_15(data);
+                break;
+            case 16:
+                this.pack_16(data);
+                break;
+            case 17:
+                this.pack_17(data);
+                break;
+            case 18:
+                this.pack_18(data);
+                break;
+            case 19:
+                this.pack_19(data);
+                break;
+            case 20:
+                this.pack_20(data);
+                break;
+            case 21:
+                this.pack_21(data);
+                break;
+            case 22:
+                this.pack_22(data);
+                break;
+            case 23:
+                this.pack_23(data);
+                break;
+            case 24:
+                if (data.part === 'B') {
+                    this.pack_24_1(data);
+                } else {
+                    this.pack_24_0(data);
+                }
+                break;
+            case 25:
+            case 26:
+                this.pack_25_26(data);
+                break;
+            case 27:
+                this.pack_27(data);
+                break;
+            default:
+                return false;
+        }
+
+        return this.buildSentences();
+    },
+    pack_1_2_3: function (data) {
+        this.initBits(168, data);
+        this.setBits(38, 4, parseInt(data.status, 10));
+        this.setBits(42, 8, this.encodeTurn(data.turn));
+        this.setBits(50, 10, this.scale(data.speed, 10), 1023);
+        this.setBool(60, data.accuracy);
+        this.setPosition(61, 28, 89, 27, 600000.0, data);
+        this.setBits(116, 12, this.scale(data.course, 10), 3600);
+        this.setBits(128, 9, data.heading, 511);
+        this.setBits(137, 6, data.second, 60);
+        this.setBits(143, 2, data.maneuver);
+        this.setBits(145, 3, data.spare);
+        this.setBool(148, data.raim);
+        this.setBits(149, 19, data.radio);
+    },
+    pack_4: function (data) {
+        this.initBits(168, data);
+        this.setBits(38, 14, data.year);
+        this.setBits(52, 4, data.month);
+        this.setBits(56, 5, data.day);
+        this.setBits(61, 5, data.hour, 24);
+        this.setBits(66, 6, data.minute, 60);
+        this.setBits(72, 6, data.second, 60);
+        this.setBool(78, data.accuracy);
+        this.setPosition(79, 28, 107, 27, 600000.0, data);
+        this.setBits(134, 4, data.epfd);
+        this.setBits(138, 10, data.spare);
+        this.setBool(148, data.raim);
+        this.setBits(149, 19, data.radio);
+    },
+    pack_5: function (data) {
+        this.initBits(424, data);
+        this.setBits(38, 2, data.ais_version);
+        this.setBits(40, 30, data.imo);
+        this.setText(70, 42, data.callsign);
+        this.setText(112, 120, data.shipname);
+        this.setBits(232, 8, data.shiptype);
+        this.setDimensions(240, data);
+        this.setBits(270, 4, data.epfd);
+        this.setBits(274, 4, data.month);
+        this.setBits(278, 5, data.day);
+        this.setBits(283, 5, data.hour, 24);
+        this.setBits(288, 6, data.minute, 60);
+        this.setBits(294, 8, this.scale(data.draught, 10));
+        this.setText(302, 120, data.destination);
+        this.setBits(422, 1, data.dte);
+        this.setBits(423, 1, data.spare);
+    },
+    pack_6: function (data) {
+        this.initBits(88, data);
+        this.setBits(38, 2, data.seqno);
+        this.setBits(40, 30, data.dest_mmsi);
+        this.setBool(70, data.retransmit);
+        this.setBits(71, 1, data.spare);
+        this.setBits(72, 10, data.dac);
+        this.setBits(82, 6, data.fid);
+        this.setData(88, data.data);
+    },
+    pack_7_13: function (data) {
+        var self = this;
+
+        this.initBits(40, data);
+        this.setBits(38, 2, data.spare);
+        _.each((data.acks || []).slice(0, 4), function (ack, index) {
+            self.setBits(40 + index * 32, 30, ack.mmsi);
+            self.setBits(70 + index * 32, 2, ack.seqno);
+        });
+    },
+    pack_8: function (data) {
+        this.initBits(56, data);
+        this.setBits(38, 2, data.spare);
+        this.setBits(40, 10, data.dac);
+        this.setBits(50, 6, data.fid);
+        this.setData(56, data.data);
+    },
+    pack_9: function (data) {
+        this.initBits(168, data);
+        this.setBits(38, 12, data.alt, 4095);
+        this.setBits(50, 10, data.speed, 1023);
+        this.setBool(60, data.accuracy);
+        this.setPosition(61, 28, 89, 27, 600000.0, data);
+        this.setBits(116, 12, this.scale(data.course, 10), 3600);
+        this.setBits(128, 6, data.second, 60);
+        this.setBits(134, 8, data.regional);
+        this.setBits(142, 1, data.dte);
+        this.setBits(143, 3, data.spare);
+        this.setBits(146, 1, data.assigned);
+        this.setBool(147, data.raim);
+        this.setBits(148, 20, data.radio);
+    },
+    pack_10: function (data) {
+        this.initBits(72, data);
+        this.setBits(38, 2, data.spare);
+        this.setBits(40, 30, data.dest_mmsi);
+        this.setBits(70, 2, data.spare2);
+    },
+    pack_12: function (data) {
+        this.initBits(72, data);
+        this.setBits(38, 2, data.seqno);
+        this.setBits(40, 30, data.dest_mmsi);
+        this.setBool(70, data.retransmit);
+        this.setBits(71, 1, data.spare);
+        this.setText(72, (data.text || '').length * 6, data.text);
+    },
+    pack_14: function (data) {
+        this.initBits(40, data);
+        this.setBits(38, 2, data.spare);
+        this.setText(40, (data.text || '').length * 6, data.text);
+    },
+    pack_15: function (data) {
+        var length = 88;
+
+        if (data.mmsi2 !== undefined) {
+            length = 160;
+        } else if (data.type1_2 !== undefined) {
+            length = 112;
+        }
+        this.initBits(length, data);
+        this.setBits(38, 2, data.spare);
+        this.setBits(40, 30, data.mmsi1);
+        this.setBits(70, 6, data.type1_1);
+        this.setBits(76, 12, data.offset1_1);
+        if (length > 88) {
+            this.setBits(88, 2, data.spare2);
+            this.setBits(90, 6, data.type1_2);
+            this.setBits(96, 12, data.offset1_2);
+        }
+        if (length > 112) {
+            this.setBits(108, 2, data.spare3);
+            this.setBits(110, 30, data.mmsi2);
+            this.setBits(140, 6, data.type2_1);
+            this.setBits(146, 12, data.offset2_1);
+            this.setBits(158, 2, data.spare4);
+        }
+    },
+    pack_16: function (data) {
+        this.initBits(data.mmsi2 !== undefined ? 144 : 96, data);
+        this.setBits(38, 2, data.spare);
+        this.setBits(40, 30, data.mmsi1);
+        this.setBits(70, 12, data.offset1);
+        this.setBits(82, 10, data.increment1);
+        if (data.mmsi2 !== undefined) {
+            this.setBits(92, 30, data.mmsi2);
+            this.setBits(122, 12, data.offset2);
+            this.setBits(134, 10, data.increment2);
+        } else {
+            this.setBits(92, 4, data.spare2);
+        }
+    },
+    pack_17: function (data) {
+        this.initBits(80, data);
+        this.setBits(38, 2, data.spare);
+        this.setPosition(40, 18, 58, 17, 600.0, data);
+        this.setBits(75, 5, data.spare2);
+        this.setData(80, data.data);
+    },
+    pack_18: function (data) {
+        this.initBits(168, data);
+        this.setBits(38, 8, data.reserved);
+        this.setBits(46, 10, this.scale(data.speed, 10), 1023);
+        this.setBool(56, data.accuracy);
+        this.setPosition(57, 28, 85, 27, 600000.0, data);
+        this.setBits(112, 12, this.scale(data.course, 10), 3600);
+        this.setBits(124, 9, data.heading, 511);
+        this.setBits(133, 6, data.second, 60);
+        this.setBits(139, 2, data.regional);
+        this.setBool(141, data.cs);
+        this.setBool(142, data.display);
+        this.setBool(143, data.dsc);
+        this.setBool(144, data.band);
+        this.setBool(145, data.msg22);
+        this.setBits(146, 1, data.assigned);
+        this.setBool(147, data.raim);
+        this.setBits(148, 20, data.radio);
+    },
+    pack_19: function (data) {
+        this.initBits(312, data);
+        this.setBits(38, 8, data.reserved);
+        this.setBits(46, 10, this.scale(data.speed, 10), 1023);
+        this.setBool(56, data.accuracy);
+        this.setPosition(57, 28, 85, 27, 600000.0, data);
+        this.setBits(112, 12, this.scale(data.course, 10), 3600);
+        this.setBits(124, 9, data.heading, 511);
+        this.setBits(133, 6, data.second, 60);
+        this.setBits(139, 4, data.regional);
+        this.setText(143, 120, data.shipname);
+        this.setBits(263, 8, data.shiptype);
+        this.setDimensions(271, data);
+        this.setBits(301, 4, data.epfd);
+        this.setBool(305, data.raim);
+        this.setBits(306, 1, data.dte);
+        this.setBits(307, 1, data.assigned);
+        this.setBits(308, 4, data.spare);
+    },
+    pack_20: function (data) {
+        var blocks = 0;
+        var i, blockStart;
+
+        for (i = 1; i <= 4 && data['offset' + i] !== undefined; i++) {
+            blocks = i;
+        }
+        // Round up to a whole number of bytes
+        this.initBits(Math.ceil((40 + blocks * 30) / 8) * 8, data);
+        this.setBits(38, 2, data.spare);
+        for (i = 1; i <= blocks; i++) {
+            blockStart = 40 + (i - 1) * 30;
+            this.setBits(blockStart, 12, data['offset' + i]);
+            this.setBits(blockStart + 12, 4, data['number' + i]);
+            this.setBits(blockStart + 16, 3, data['timeout' + i]);
+            this.setBits(blockStart + 19, 11, data['increment' + i]);
+        }
+    },
+    /**
+     * pack_21
+     * Names longer than 20 characters are split between the name field and the name extension
+     */
+    pack_21: function (data) {
+        var name = data.name || '';
+        var extension = name.substr(20, 14);
+
+        this.initBits(272 + Math.ceil(extension.length * 6 / 8) * 8, data);
+        this.setBits(38, 5, data.aid_type);
+        this.setText(43, 120, name.substr(0, 20));
+        this.setBool(163, data.accuracy);
+        this.setPosition(164, 28, 192, 27, 600000.0, data);
+        this.setDimensions(219, data);
+        this.setBits(249, 4, data.epfd);
+        this.setBits(253, 6, data.second, 60);
+        this.setBits(259, 1, data.off_position);
+        this.setBits(260, 8, data.regional);
+        this.setBool(268, data.raim);
+        this.setBits(269, 1, data.virtual_aid);
+        this.setBits(270, 1, data.assigned);
+        this.setBits(271, 1, data.spare);
+        this.setText(272, extension.length * 6, extension);
+    },
+    pack_22: function (data) {
+        this.initBits(168, data);
+        this.setBits(38, 2, data.spare);
+        this.setBits(40, 12, data.channel_a);
+        this.setBits(52, 12, data.channel_b);
+        this.setBits(64, 4, data.txrx);
+        this.setBool(68, data.power);
+        if (data.addressed) {
+            this.setBits(69, 30, data.dest1);
+            this.setBits(104, 30, data.dest2);
+        } else {
+            this.setPosition(69, 18, 87, 17, 600.0, {lon: data.ne_lon, lat: data.ne_lat});
+            this.setPosition(104, 18, 122, 17, 600.0, {lon: data.sw_lon, lat: data.sw_lat});
+        }
+        this.setBool(139, data.addressed);
+        this.setBool(140, data.band_a);
+        this.setBool(141, data.band_b);
+        this.setBits(142, 3, data.zonesize);
+        this.setBits(145, 23, data.spare2);
+    },
+    pack_23: function (data) {
+        this.initBits(160, data);
+        this.setBits(38, 2, data.spare);
+        this.setPosition(40, 18, 58, 17, 600.0, {lon: data.ne_lon, lat: data.ne_lat});
+        this.setPosition(75, 18, 93, 17, 600.0, {lon: data.sw_lon, lat: data.sw_lat});
+        this.setBits(110, 4, data.stationtype);
+        this.setBits(114, 8, data.shiptype);
+        this.setBits(122, 22, data.spare2);
+        this.setBits(144, 2, data.txrx);
+        this.setBits(146, 4, data.interval);
+        this.setBits(150, 4, data.quiet);
+        this.setBits(154, 6, data.spare3);
+    },
+    pack_24_0: function (data) {
+        this.initBits(160, data);
+        this.setBits(38, 2, 0);
+        this.setText(40, 120, data.shipname);
+    },
+    /**
+     * pack_24_1
+     * vendorid is written before model and serial as aivdmDecode reads it from the bits that also hold them
+     */
+    pack_24_1: function (data) {
+        this.initBits(168, data);
+        this.setBits(38, 2, 1);
+        this.setBits(40, 8, data.shiptype);
+        this.setText(48, Math.min((data.vendorid || '').length, 6) * 6, data.vendorid);
+        this.setBits(66, 4, data.model);
+        this.setBits(70, 20, data.serial);
+        this.setText(90, 42, data.callsign);
+        if (data.mothership_mmsi) {
+            this.setBits(132, 30, data.mothership_mmsi);
+        } else {
+            this.setDimensions(132, data);
+        }
+        this.setBits(162, 6, data.spare);
+    },
+    pack_25_26: function (data) {
+        var dataStart = 40;
+        var dataBits = data.data || '';
+
+        if (data.addressed) { dataStart += 30; }
+        if (data.structured) { dataStart += 16; }
+        this.initBits(dataStart + dataBits.length + (data.type === 26 ? 20 : 0), data);
+        this.setBool(38, data.addressed);
+        this.setBool(39, data.structured);
+        dataStart = 40;
+        if (data.addressed) {
+            this.setBits(dataStart, 30, data.dest_mmsi);
+            dataStart += 30;
+        }
+        if (data.structured) {
+            this.setBits(dataStart, 10, data.dac);
+            this.setBits(dataStart + 10, 6, data.fid);
+            dataStart += 16;
+        }
+        this.setData(dataStart, dataBits);
+        if (data.type === 26) {
+            this.setBits(this.bits.length - 20, 20, data.radio);
+        }
+    },
+    pack_27: function (data) {
+        this.initBits(96, data);
+        this.setBool(38, data.accuracy);
+        this.setBool(39, data.raim);
+        this.setBits(40, 4, parseInt(data.status, 10));
+        this.setPosition(44, 18, 62, 17, 600.0, data);
+        this.setBits(79, 6, data.speed, 63);
+        this.setBits(85, 9, data.course, 511);
+        this.setBool(94, data.gnss);
+        this.setBits(95, 1, data.spare);
+    },
+    // -------------------------------
+
+    /**
+     * encodeTurn
+     * The reverse of aivdmDecode.getTurn()
+     * @param turn  null, 'nan', 'fastright', 'fastleft' or the rate of turn as a string or number (the raw value if unscaled)
+     * @returns {number} The raw 8 bit rate of turn
+     */
+    encodeTurn: function (turn) {
+        var rot;
+
+        switch (turn) {
+            case undefined:
+                return 0;
+            case null:
+            case 'nan':
+                return -128;
+            case 'fastright':
+                return 127;
+            case 'fastleft':
+                return -127;
+            default:
+                rot = parseFloat(turn);
+                if (isNaN(rot)) { return -128; }
+                if (this.unscaled) { return rot; }
+                return (rot < 0 ? -1 : 1) * Math.min(Math.round(4.733 * Math.sqrt(Math.abs(rot))), 126);
+        }
+    },
+    /**
+     * scale
+     * @param value     A scaled field, e.g. speed in knots
+     * @param factor    The factor between the raw value and the scaled field, e.g. 10 for speed in 0.1 knots
+     * @returns {number} The raw value, or value as it is if the message is unscaled or value is null
+     */
+    scale: function (value, factor) {
+        return this.unscaled || value === null ? value : value * factor;
+    },
+    /**
+     * initBits
+     * Starts a new message of length bits, all zero, with the type, repeat and mmsi fields set
+     */
+    initBits: function (length, data) {
+        this.bits = [];
+        while (this.bits.length < length) {
+            this.bits.push('0');
+        }
+        this.setBits(0, 6, data.type);
+        this.setBits(6, 2, data.repeat);
+        this.setBits(8, 30, data.mmsi);
+    },
+    /**
+     * setBits
+     * Writes value into len bits starting at start.  Negative values are written as two's complement.
+     * Values that are not numbers (i.e. missing fields) are written as 0, or as notAvailable if they are null
+     */
+    setBits: function (start, len, value, notAvailable) {
+        var strBin, i;
+
+        if (value === null && notAvailable !== undefined) { value = notAvailable; }
+        value = Math.round(Number(value));
+        if (isNaN(value)) { value = 0; }
+        if (value < 0) { value += Math.pow(2, len); }
+        strBin = value.toString(2);
+        while (strBin.length < len) {
+            strBin = '0' + strBin;
+        }
+        strBin = strBin.substr(strBin.length - len);
+        for (i = 0; i < len; i++) {
+            this.bits[start + i] = strBin.charAt(i);
+        }
+    },
+    setBool: function (start, value) {
+        this.setBits(start, 1, value ? 1 : 0);
+    },
+    /**
+     * setText
+     * Writes text as six bit ascii into len bits starting at start, padded with '@'
+     */
+    setText: function (start, len, text) {
+        var chars = (text || '').toUpperCase().split('');
+        var i, code;
+
+        for (i = 0; i < len / 6; i++) {
+            code = i < chars.length ? chars[i].charCodeAt(0) : 64;
+            if (code < 32 || code > 95) { code = 63; }     // '?' for anything that can't be represented
+            this.setBits(start + i * 6, 6, code >= 64 ? code - 64 : code);
+        }
+    },
+    /**
+     * setData
+     * Writes a string of '0' and '1' characters starting at start
+     */
+    setData: function (start, bitString) {
+        var self = this;
+        _.each((bitString || '').split(''), function (bit, index) {
+            self.bits[start + index] = bit === '1' ? '1' : '0';
+        });
+    },
+    setPosition: function (lonStart, lonLength, latStart, latLength, divisor, position) {
+        this.setBits(lonStart, lonLength, this.scale(position.lon, divisor), 181 * divisor);
+        this.setBits(latStart, latLength, this.scale(position.lat, divisor), 91 * divisor);
+    },
+    setDimensions: function (start, data) {
+        this.setBits(start, 9, data.to_bow);
+        this.setBits(start + 9, 9, data.to_stern);
+        this.setBits(start + 18, 6, data.to_port);
+        this.setBits(start + 24, 6, data.to_starboard);
+    },
+    // ---------------------------------------
+
+    /**
+     * buildPayload
+     * Converts this.bits to the six bit armoured payload
+     * @returns {{payload: string, fillBits: number}}
+     */
+    buildPayload: function () {
+        var bitString = this.bits.join('');
+        var fillBits = (6 - bitString.length % 6) % 6;
+        var payload = '';
+        var i, bit6;
+
+        for (i = 0; i < fillBits; i++) {
+            bitString += '0';
+        }
+        for (i = 0; i < bitString.length; i += 6) {
+            bit6 = parseInt(bitString.substr(i, 6), 2);
+            payload += String.fromCharCode(bit6 < 40 ? bit6 + 48 : bit6 + 56);
+        }
+        return {payload: payload, fillBits: fillBits};
+    },
+    /**
+     * buildSentences
+     * Splits the payload into fragments of at most this.maxPayload characters and builds a sentence for each.
+     * The fill bits are only given on the last fragment
+     * @returns {Array}
+     */
+    buildSentences: function () {
+        var built = this.buildPayload();
+        var fragments = built.payload.match(new RegExp('.{1,' + this.maxPayload + '}', 'g')) || [''];
+        var seqMsgId = '';
+        var self = this;
+
+        if (fragments.length > 1) {
+            seqMsgId = this.sequenceId;
+            this.sequenceId = (this.sequenceId + 1) % 10;
+        }
+
+        return _.map(fragments, function (fragment, index) {
+            var body = sprintf(
+                '%s,%d,%d,%s,%s,%s,%d',
+                self.talker,
+                fragments.length,
+                index + 1,
+                seqMsgId,
+                self.channel,
+                fragment,
+                index === fragments.length - 1 ? built.fillBits : 0
+            );
+            return '!' + body + '*' + self.checksum(body);
+        });
+    },
+    /**
+     * checksum
+     * @param body  The sentence between (not including) the '!' and the '*'
+     * @returns {string} The NMEA checksum as 2 hex digits
+     */
+    checksum: function (body) {
+        var cs = 0;
+        var i;
+
+        for (i = 0; i < body.length; i++) {
+            cs ^= body.charCodeAt(i);
+        }
+        return sprintf('%02X', cs);
+    }
+};
+
+module.exports = { aivdmEncode: aivdmEncode };
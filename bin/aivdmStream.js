@@ -0,0 +1,148 @@
+var _             = require('underscore');
+var util          = require('util');
+var Transform     = require('stream').Transform;
+var StringDecoder = require('string_decoder').StringDecoder;
+var aivdmDecode   = require('./aivdmDecode').aivdmDecode;
+
+/**
+ * A Transform stream that decodes a byte stream of NMEA lines (e.g. from a serial port, net.Socket or
+ * fs.createReadStream) into decoded AIS messages.
+ *
+ * Normal usage:
+ *      var stream = new aivdmStream.aivdmStream(options);
+ *      stream.on('data', function (msgData) { ... });
+ *      stream.on('diagnostic', function (diagnostic) { ... });
+ *      socket.pipe(stream);
+ *
+ *      Buffers (or strings) of any size are written to the stream.  They are split into lines on CR, LF or CRLF and
+ *      each line is passed to aivdmDecode.decode().  The stream is in object mode on the readable side: one decoded
+ *      message object is pushed per complete message, so the first fragments of multi part messages push nothing.
+ *
+ *      Lines that can't be decoded, and multi part messages that are dropped before they are complete, are reported
+ *      with a 'diagnostic' event rather than 'error' so that the stream keeps flowing.  The diagnostic is an object:
+ *          reason:     Why the line was not decoded, e.g. 'bad checksum', 'unsupported type', 'line too long',
+ *                      'exception' or 'fragments dropped'
+ *          line:       The line (for fragments dropped, the lines received in 'aivdm')
+ *          error:      The exception (reason 'exception' only)
+ *          fragments:  The description of the dropped message (reason 'fragments dropped' only), see
+ *                      aivdmDecode's onFragmentsDropped option
+ *
+ * @param {object} options:
+ *      Passed to aivdmDecode (returnJson is ignored), plus:
+ *      source:             Passed to decode() with each line, see aivdmDecode.decode()
+ *      maxLineLength:      Lines longer than this are discarded with a diagnostic (default 4096)
+ *      highWaterMark:      Number of decoded objects buffered before backpressure is applied (default 16)
+ */
+var aivdmStream = function (options) {
+    var self = this;
+    var decoderOptions;
+
+    options = options || {};
+    Transform.call(this, {
+        readableObjectMode: true,
+        readableHighWaterMark: options.highWaterMark || 16
+    });
+
+    this.source = options.source || '';
+    this.maxLineLength = options.maxLineLength || 4096;
+
+    decoderOptions = _.extend({}, options, {
+        returnJson: false,
+        onFragmentsDropped: function (dropped) {
+            self.emit('diagnostic', {reason: 'fragments dropped', line: dropped.aivdm, fragments: dropped});
+            if (typeof(options.onFragmentsDropped) === 'function') {
+                options.onFragmentsDropped(dropped);
+            }
+        }
+    });
+    this.decoder = new aivdmDecode(decoderOptions);
+
+    this.stringDecoder = new StringDecoder('utf8');
+    this.partialLine = '';  // The text after the last line break
+    this.skipLine = false;  // True while the rest of a line that was too long is skipped, up to its line break
+};
+
+util.inherits(aivdmStream, Transform);
+
+/**
+ * _transform
+ * Splits the chunk into lines, keeping any partial line for the next chunk, and decodes the complete lines.
+ * A partial line that is already too long is discarded, and so is the rest of it in the following chunks.
+ */
+aivdmStream.prototype._transform = function (chunk, encoding, callback) {
+    var text = this.partialLine + (Buffer.isBuffer(chunk) ? this.stringDecoder.write(chunk) : chunk);
+    var lines = text.split(/\r\n|\r|\n/);
+    var self = this;
+
+    if (this.skipLine) {
+        if (lines.length === 1) {
+            // Still no line break
+            callback();
+            return;
+        }
+        lines.shift();
+        this.skipLine = false;
+    }
+
+    this.partialLine = lines.pop();
+    if (this.partialLine.length > this.maxLineLength) {
+        this.emit('diagnostic', {reason: 'line too long', line: this.partialLine});
+        this.partialLine = '';
+        this.skipLine = true;
+    }
+
+    _.each(lines, function (line) {
+        self.decodeLine(line);
+    });
+    callback();
+};
+
+/**
+ * _flush
+ * Decodes the last line if the stream didn't end with a line break, then reports any incomplete multi part messages
+ */
+aivdmStream.prototype._flush = function (callback) {
+    var line = this.partialLine + this.stringDecoder.end();
+    var decoder = this.decoder;
+
+    this.partialLine = '';
+    if (this.skipLine) {
+        this.skipLine = false;
+    } else {
+        this.decodeLine(line);
+    }
+    _.each(_.keys(decoder.fragmentGroups), function (key) {
+        decoder.dropFragments(key, 'end of stream');
+    });
+    callback();
+};
+
+/**
+ * decodeLine
+ * Decodes one line and pushes the decoded message, or emits a diagnostic if the line can't be decoded
+ * @param line  A line without its line break
+ */
+aivdmStream.prototype.decodeLine = function (line) {
+    var msgData;
+
+    if (line.trim() === '') { return; }
+    if (line.length > this.maxLineLength) {
+        this.emit('diagnostic', {reason: 'line too long', line: line});
+        return;
+    }
+
+    try {
+        msgData = this.decoder.decode(line, this.source);
+    } catch (err) {
+        this.emit('diagnostic', {reason: 'exception', line: line, error: err});
+        return;
+    }
+
+    if (msgData) {
+        this.push(msgData);
+    } else if (this.decoder.lastError) {
+        this.emit('diagnostic', {reason: this.decoder.lastError, line: line});
+    }
+};
+
+module.exports = { aivdmStream: aivdmStream };
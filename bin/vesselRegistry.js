@@ -0,0 +1,156 @@
+var _           = require('underscore');
+var aivdmDecode = require('./aivdmDecode').aivdmDecode;
+
+/**
+ * Keeps the latest position and static/voyage data of each vessel, keyed by mmsi.
+ *
+ * Normal usage:
+ *      var registry = new vesselRegistry.vesselRegistry(options)
+ *          then for each line
+ *      registry.decode(aivdm);
+ *          or, for messages that have already been decoded
+ *      registry.update(msgData);
+ *
+ *      var vessel = registry.get(mmsi);
+ *      var vessels = registry.list();
+ *
+ *      Each vessel is an object:
+ *          mmsi:           The vessel's mmsi
+ *          mid:            The vessel's nationality (from its mmsi)
+ *          own_ship:       true if the vessel has been reported in a VDO (own ship) sentence
+ *          position:       The position fields (positionFields) of the latest position report (types 1, 2, 3, 9,
+ *                          18, 19 and 27), or null
+ *          static:         The static and voyage fields (staticFields) from types 5, 19 and 24, merged so that
+ *                          each field is the latest received, or null
+ *          positionTime:   Time (in milliseconds) of the latest position report, or null
+ *          staticTime:     Time (in milliseconds) of the latest static/voyage report, or null
+ *          lastUpdate:     Time (in milliseconds) of the latest report of any kind
+ *
+ *      Vessels that haven't been reported for maxAge are dropped.
+ *
+ * @param {object} options:
+ *      Passed to the aivdmDecode used by decode() (returnJson is ignored), plus:
+ *      maxAge:     Milliseconds after the last report that a vessel is dropped (default 3600000, one hour)
+ */
+var vesselRegistry = function (options) {
+    options = options || {};
+
+    this.maxAge = options.maxAge || 3600000;
+    this.decoder = new aivdmDecode(_.extend({}, options, {returnJson: false}));
+    this.vessels = {};  // Keyed by mmsi
+
+    this.positionTypes = [1, 2, 3, 9, 18, 19, 27];
+    this.staticTypes = [5, 19, 24];
+    this.positionFields = ['type', 'status', 'status_text', 'turn', 'speed', 'accuracy', 'lon', 'lat', 'course',
+        'heading', 'second', 'maneuver', 'maneuver_text', 'raim', 'alt'];
+    this.staticFields = ['imo', 'callsign', 'shipname', 'shiptype', 'shiptype_text', 'vendorid', 'model', 'serial',
+        'to_bow', 'to_stern', 'to_port', 'to_starboard', 'mothership_mmsi', 'epfd', 'epfd_text', 'eta', 'draught',
+        'destination'];
+};
+
+vesselRegistry.prototype = {
+    /**
+     * decode
+     * Decodes a line and updates the registry with the message
+     * @param line      A line containing an !xxVDM or !xxVDO sentence, see aivdmDecode.decode()
+     * @param source    Optional.  Identifies the receiver/feed that the line came from
+     * @returns {*}     The updated vessel, or false if the line didn't complete a vessel report
+     */
+    decode: function (line, source) {
+        var msgData = this.decoder.decode(line, source);
+
+        return msgData ? this.update(msgData) : false;
+    },
+    /**
+     * update
+     * Updates the registry with a decoded message
+     * @param msgData   A decoded message (or the JSON of one)
+     * @param time      Optional.  The time of the report in milliseconds (default Date.now())
+     * @returns {*}     The updated vessel, or false if the message type doesn't report a vessel
+     */
+    update: function (msgData, time) {
+        var vessel, fields;
+
+        if (typeof(msgData) === 'string') {
+            msgData = JSON.parse(msgData);
+        }
+        if (!msgData || !(_.contains(this.positionTypes, msgData.type) || _.contains(this.staticTypes, msgData.type))) {
+            return false;
+        }
+        time = time || Date.now();
+        this.expire(time);
+
+        vessel = this.vessels[msgData.mmsi];
+        if (!vessel) {
+            vessel = {
+                mmsi: msgData.mmsi,
+                mid: msgData.mid,
+                own_ship: false,
+                position: null,
+                static: null,
+                positionTime: null,
+                staticTime: null,
+                lastUpdate: time
+            };
+            this.vessels[msgData.mmsi] = vessel;
+        }
+
+        if (msgData.mid) { vessel.mid = msgData.mid; }
+        if (msgData.own_ship) { vessel.own_ship = true; }
+        if (_.contains(this.positionTypes, msgData.type)) {
+            vessel.position = _.pick(msgData, this.positionFields);
+            vessel.positionTime = time;
+        }
+        if (_.contains(this.staticTypes, msgData.type)) {
+            fields = _.pick(msgData, this.staticFields);
+            // The name and type of a type 19 may be blank (type 0 is 'not available')
+            if (msgData.type === 19) {
+                if (!fields.shipname) { fields = _.omit(fields, 'shipname'); }
+                if (!fields.shiptype) { fields = _.omit(fields, 'shiptype', 'shiptype_text'); }
+            }
+            vessel.static = _.extend(vessel.static || {}, fields);
+            vessel.staticTime = time;
+        }
+        vessel.lastUpdate = time;
+        return vessel;
+    },
+    /**
+     * get
+     * @param mmsi  The mmsi of the vessel
+     * @param now   Optional.  The current time in milliseconds, e.g. when replaying a log (default Date.now())
+     * @returns {*} The vessel, or null if it isn't in the registry
+     */
+    get: function (mmsi, now) {
+        this.expire(now || Date.now());
+        return this.vessels[parseInt(mmsi, 10)] || null;
+    },
+    /**
+     * list
+     * @param filter    Optional.  A function that is passed each vessel and returns true if it's to be listed
+     * @param now       Optional.  The current time in milliseconds, e.g. when replaying a log (default Date.now())
+     * @returns {Array} The vessels, in mmsi order
+     */
+    list: function (filter, now) {
+        var vessels;
+
+        this.expire(now || Date.now());
+        vessels = _.sortBy(_.values(this.vessels), 'mmsi');
+        return filter ? _.filter(vessels, filter) : vessels;
+    },
+    /**
+     * expire
+     * Drops the vessels that were last reported more than this.maxAge before now
+     * @param now   Time in milliseconds (i.e. Date.now())
+     */
+    expire: function (now) {
+        var self = this;
+
+        _.each(_.keys(this.vessels), function (mmsi) {
+            if (now - self.vessels[mmsi].lastUpdate > self.maxAge) {
+                delete self.vessels[mmsi];
+            }
+        });
+    }
+};
+
+module.exports = { vesselRegistry: vesselRegistry };
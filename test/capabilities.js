@@ -0,0 +1,104 @@
+/**
+ * Checks that getCapabilities() lists the fields of the decoded object of every message type: a message of each type
+ * has all its fields, and only those, apart from the optional ones.
+ *
+ *      node test/capabilities.js
+ */
+var assert      = require('assert');
+var _           = require('underscore');
+var aivdmDecode = require('../bin/aivdmDecode').aivdmDecode;
+var aivdmEncode = require('../bin/aivdmDecode').aivdmEncode;
+
+var encoder = new aivdmEncode();
+
+// One message of each type.  Types 2 and 13 are encoded, as are the tag block and USCG fields
+var messages = [
+    ['!AIVDM,1,1,,B,15DbCb0PAgbmOBsdJb7AJ@ib00SM,0*34'],
+    encoder.encode({type: 2, mmsi: 235000001, status: 0, turn: 0, speed: 10, accuracy: false, lon: -1.5, lat: 50.75,
+        course: 90, heading: 90, second: 30, raim: false, radio: 0}),
+    ['!AIVDM,1,1,,B,37PAfn0Oj3:lIhEd`Ij9gWmd0Pq1,0*2B'],
+    ['!AIVDM,1,1,,A,403OviQuMGCqWrRO9>E6fE700@GO,0*4D'],
+    ['!AIVDM,2,1,0,B,53ddOr3SnbKSTP7;;?Q9B0@59LTr22222222220l20@57Hm60@T3lU821@A3,0*41',
+        '!AIVDM,2,2,0,B,0CQ88888880,2*3D'],
+    ['!AIVDM,1,1,,B,6B?n;be:cbapalgc;i6?Ow4,2*4A'],
+    ['!AIVDM,1,1,,A,7IiQ4T`UjA9lC;b:M<MWE@,4*01'],
+    // An application without a decoder, so that only the header fields are decoded
+    encoder.encode({type: 8, mmsi: 235000001, dac: 235, fid: 10, data: '10101010101010101010'}),
+    ['!AIVDM,1,1,,A,97oordNF>hPppq5af003QHi0S7sE,0*52'],
+    ['!AIVDM,1,1,,B,:5MlU41GMK6@,0*6C'],
+    ['!AIVDM,1,1,,B,;4R33:1uUK2F`q?mOt@@GoQ00000,0*5D'],
+    ['!AIVDM,1,1,,A,<02:oP0kKcv0@<51C5PB5@?BDPD?P:?2?EB7PDB16693P381>>5<PikP,0*37'],
+    encoder.encode({type: 13, mmsi: 235000001, acks: [{mmsi: 235000002, seqno: 1}]}),
+    ['!AIVDM,1,1,,A,>5?Per18=HB1U:1@E=B0m<L,2*51'],
+    ['!AIVDM,1,1,,B,?h3Ovk1GQqT0D00,2*67'],
+    ['!AIVDM,1,1,,A,@01uEO@mMk7P<P00,0*18'],
+    ['!AIVDM,1,1,,A,A6WWW6gP00a3PDlEKLrarOwUr8Mg,0*03'],
+    ['!AIVDM,1,1,,B,B5NJ;PP005l4ot5Isbl03wsUkP06,0*75'],
+    ['!AIVDM,1,1,,B,C5N3SRgPEnJGEBT>NhWAwwo862PaLELTBJ:V00000000S0D:R220,0*0B'],
+    ['!AIVDM,1,1,,A,D028rqP<QNfp000000000000000,2*0C'],
+    ['!AIVDM,1,1,,B,E>jHC=c6:W2h22R`@1:WdP00000Opa@H?KTcP10888e?N0,4*16'],
+    ['!AIVDM,1,1,,B,F030p:j2N2P5aJR0r;6f3rj10000,0*11'],
+    ['!AIVDM,1,1,,B,G02:Kn01R`sn@291nj600000900,2*12'],
+    ['!AIVDM,1,1,,B,H7OeD@QLE=A<D63:22222222220,2*25'],
+    ['!AIVDM,1,1,,B,H3mw=<TT@B?>1F0<7kplk01H1120,0*5D'],
+    ['!AIVDM,1,1,,A,I6SWo?8P00a3PKpEKEVj0?vNP<65,0*73'],
+    ['!AIVDM,1,1,,A,JB3R0GO7p>vQL8tjw0b5hqpd0706kh9d3lR2vbl0400,2*40'],
+    ['!AIVDM,1,1,,A,KC5E2b@U19PFdLbL,0*03'],
+    ['\\s:receiver1,c:1241544035*4A\\!AIVDM,1,1,,B,15DbCb0PAgbmOBsdJb7AJ@ib00SM,0*34'],
+    ['!AIVDM,1,1,,B,15DbCb0PAgbmOBsdJb7AJ@ib00SM,0*34,s22716,d-096,T45.43546472,S1743,x10934,r003669945,1208997602']
+];
+
+/**
+ * checkFields
+ * Decodes each message with options and checks that its fields are those listed by getCapabilities()
+ * @returns {Array} The types that were decoded
+ */
+function checkFields(options) {
+    var decoder = new aivdmDecode(_.extend({returnJson: false}, options));
+
+    return _.map(messages, function (sentences) {
+        var decoded, capabilities, keys;
+
+        _.each(sentences, function (sentence) {
+            decoded = decoder.decode(sentence) || decoded;
+        });
+        assert.ok(decoded, sentences[0]);
+        capabilities = decoder.getCapabilities(decoded.type);
+        keys = _.keys(decoded);
+
+        assert.deepStrictEqual(_.difference(keys, capabilities.fields), [], 'type ' + decoded.type + ' extra');
+        assert.deepStrictEqual(_.difference(capabilities.fields, keys, capabilities.optional), [],
+            'type ' + decoded.type + ' missing');
+        return decoded.type;
+    });
+}
+
+// Every type is covered, with the default options and with nullNotAvailable, which adds the *_available flags
+(function () {
+    var types = checkFields({});
+
+    assert.deepStrictEqual(_.uniq(types).sort(function (a, b) { return a - b; }), _.range(1, 28));
+    checkFields({nullNotAvailable: true});
+    checkFields({unscaled: true});
+})();
+
+// A paired type 24 is listed as a type 5 with class_b
+(function () {
+    var decoder = new aivdmDecode({returnJson: false, pairType24: true});
+    var decoded;
+
+    decoder.decode('!AIVDM,1,1,,B,H3mw=<TT@B?>1F0<7kplk01H1120,0*5D');
+    decoded = decoder.decode(encoder.encode({type: 24, part: 'A', mmsi: 257936690, shipname: 'PAIRED'})[0]);
+    assert.strictEqual(decoded.class_b, true);
+    assert.deepStrictEqual(_.difference(_.keys(decoded), decoder.getCapabilities(5).fields), []);
+})();
+
+// getCapabilities() with no type lists every type, and an unsupported type is null
+(function () {
+    var decoder = new aivdmDecode();
+
+    assert.deepStrictEqual(_.pluck(decoder.getCapabilities(), 'type'), _.range(1, 28));
+    assert.strictEqual(decoder.getCapabilities(28), null);
+})();
+
+console.log('capabilities ok');
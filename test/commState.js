@@ -0,0 +1,90 @@
+/**
+ * Checks the decoding of the SOTDMA and ITDMA communication states in the radio field.
+ *
+ *      node test/commState.js
+ */
+var assert      = require('assert');
+var _           = require('underscore');
+var aivdmDecode = require('../bin/aivdmDecode').aivdmDecode;
+var aivdmEncode = require('../bin/aivdmDecode').aivdmEncode;
+
+var decoder = new aivdmDecode({returnJson: false});
+var encoder = new aivdmEncode();
+
+/**
+ * message
+ * Encodes data and decodes it again
+ */
+function message(data) {
+    var msgData = false;
+
+    _.each(encoder.encode(data), function (sentence) {
+        msgData = decoder.decode(sentence) || msgData;
+    });
+    return msgData;
+}
+function position(type, radio, extra) {
+    return message(_.extend({type: type, mmsi: 235000001, status: 0, turn: 0, speed: 10, accuracy: false, lon: -1.5,
+        lat: 50.75, course: 90, heading: 90, second: 30, raim: false, radio: radio}, extra));
+}
+
+// Known sentences: a type 1 with a slot offset, a type 1 with the UTC time, a type 3 and a type 9 (ITDMA)
+assert.deepStrictEqual(decoder.decode('!AIVDM,1,1,,A,144iRPgP001N;PjOb:@F1?vj0PSB,0*47').commstate,
+    {scheme: 'SOTDMA', sync_state: 1, sync_state_text: 'UTC indirect', slot_timeout: 0, slot_offset: 2258});
+assert.deepStrictEqual(decoder.decode('!AIVDM,1,1,,A,1;@1hrh00qKbOaGe9UL<dajd04ht,0*74').commstate,
+    {scheme: 'SOTDMA', sync_state: 0, sync_state_text: 'UTC direct', slot_timeout: 1, utc_hour: 6, utc_minute: 15});
+assert.deepStrictEqual(decoder.decode('!AIVDM,1,1,,A,33aTCJ0Oh;8>Q>7kW>eKwaf6010P,0*63').commstate,
+    {scheme: 'ITDMA', sync_state: 0, sync_state_text: 'UTC direct', slot_increment: 258, slots: 0, keep: false});
+assert.deepStrictEqual(decoder.decode('!AIVDM,1,1,,A,97oordNF>hPppq5af003QHi0S7sE,0*52').commstate,
+    {scheme: 'ITDMA', sync_state: 2, sync_state_text: 'Synchronized to a base station', slot_increment: 2029,
+        slots: 2, keep: true});
+
+// Each SOTDMA sub message.  The radio field is sync state (2 bits), slot timeout (3 bits) and sub message (14 bits)
+_.each([
+    {radio: 427218, expected: {sync_state: 3, slot_timeout: 2, slot_number: 1234}},
+    {radio: 311313, expected: {sync_state: 2, slot_timeout: 3, received_stations: 17}},
+    {radio: 67785, expected: {sync_state: 0, slot_timeout: 4, slot_number: 2249}},
+    {radio: 81920, expected: {sync_state: 0, slot_timeout: 5, received_stations: 0}},
+    {radio: 114687, expected: {sync_state: 0, slot_timeout: 6, slot_number: 16383}},
+    {radio: 114693, expected: {sync_state: 0, slot_timeout: 7, received_stations: 5}},
+    {radio: 16383, expected: {sync_state: 0, slot_timeout: 0, slot_offset: 16383}}
+], function (test) {
+    var commState = position(1, test.radio).commstate;
+
+    assert.strictEqual(commState.scheme, 'SOTDMA');
+    assert.strictEqual(commState.sync_state_text, decoder.syncStateText[test.expected.sync_state]);
+    assert.deepStrictEqual(_.omit(commState, 'scheme', 'sync_state_text'), test.expected, String(test.radio));
+});
+
+// ITDMA: sync state (2 bits), slot increment (13 bits), number of slots (3 bits) and keep flag
+assert.deepStrictEqual(position(3, 393215).commstate, {scheme: 'ITDMA', sync_state: 2,
+    sync_state_text: 'Synchronized to a base station', slot_increment: 8191, slots: 7, keep: true});
+
+// Types 9, 18 and 26 have a selector bit before the communication state: 0 is SOTDMA, 1 is ITDMA
+_.each([9, 18], function (type) {
+    var extra = {alt: 100, cs: false};
+
+    assert.deepStrictEqual(position(type, 19516, extra).commstate, {scheme: 'SOTDMA', sync_state: 0,
+        sync_state_text: 'UTC direct', slot_timeout: 1, utc_hour: 6, utc_minute: 15}, 'type ' + type);
+    assert.deepStrictEqual(position(type, 524288 + 4128, extra).commstate, {scheme: 'ITDMA', sync_state: 0,
+        sync_state_text: 'UTC direct', slot_increment: 258, slots: 0, keep: false}, 'type ' + type);
+});
+_.each([false, true], function (addressed) {
+    var data = {type: 26, mmsi: 235000001, addressed: addressed, structured: false, dest_mmsi: 235000002,
+        data: '1010101010101010'};
+
+    assert.deepStrictEqual(message(_.extend({radio: 4096}, data)).commstate, {scheme: 'SOTDMA', sync_state: 0,
+        sync_state_text: 'UTC direct', slot_timeout: 0, slot_offset: 4096});
+    assert.deepStrictEqual(message(_.extend({radio: 524288 + 4128}, data)).commstate, {scheme: 'ITDMA',
+        sync_state: 0, sync_state_text: 'UTC direct', slot_increment: 258, slots: 0, keep: false});
+});
+
+// A type 18 from a carrier sense (CS) unit has no communication state, whatever the selector bit
+assert.deepStrictEqual(decoder.decode('!AIVDM,1,1,,B,B5NJ;PP005l4ot5Isbl03wsUkP06,0*75').commstate, {scheme: 'CS'});
+assert.deepStrictEqual(position(18, 19516, {cs: true}).commstate, {scheme: 'CS'});
+assert.deepStrictEqual(position(18, 524288 + 4128, {cs: true}).commstate, {scheme: 'CS'});
+
+// Types without a communication state
+assert.strictEqual(decoder.decode('!AIVDM,1,1,,A,KC5E2b@U19PFdLbL,0*03').commstate, undefined);
+
+console.log('commState ok');
@@ -0,0 +1,231 @@
+/**
+ * Checks decoded field values against known values: those that gpsdecode writes for sample sentences, and messages
+ * that are built here bit by bit from the layouts in ITU-R M.1371, IMO SN.1/Circ.289, the Inland AIS standard and
+ * RTCM SC-104.  Unlike test/roundTrip.js, these don't depend on the encoder.
+ *
+ *      node test/fields.js
+ */
+var assert      = require('assert');
+var _           = require('underscore');
+var aivdmDecode = require('../bin/aivdmDecode').aivdmDecode;
+
+function checksum(text) {
+    var sum = 0;
+    var i;
+
+    for (i = 0; i < text.length; i++) {
+        sum ^= text.charCodeAt(i);
+    }
+    return ('0' + sum.toString(16).toUpperCase()).slice(-2);
+}
+
+/**
+ * bits
+ * @returns {string} value as len bits, in two's complement if it's negative
+ */
+function bits(value, len) {
+    var unsigned = value < 0 ? Math.pow(2, len) + value : value;
+    var text = unsigned.toString(2);
+
+    return new Array(len - text.length + 1).join('0') + text;
+}
+/**
+ * text
+ * @returns {string} text as len six bit characters, padded with '@'
+ */
+function text(value, len) {
+    return _.map(_.range(len), function (i) {
+        var code = i < value.length ? value.charCodeAt(i) : 64;
+
+        return bits(code >= 64 ? code - 64 : code, 6);
+    }).join('');
+}
+/**
+ * sentence
+ * Armours a message built as a string of bits into a single !AIVDM sentence
+ */
+function sentence(binary) {
+    var fill = (6 - binary.length % 6) % 6;
+    var padded = binary + new Array(fill + 1).join('0');
+    var payload = _.map(padded.match(/.{6}/g), function (sixBits) {
+        var value = parseInt(sixBits, 2);
+
+        return String.fromCharCode(value < 40 ? value + 48 : value + 56);
+    }).join('');
+    var body = 'AIVDM,1,1,,A,' + payload + ',' + fill;
+
+    return '!' + body + '*' + checksum(body);
+}
+/**
+ * hexBits
+ * @returns {string} The bits of gpsd's 'bitlen:hex' data
+ */
+function hexBits(data) {
+    var parts = data.split(':');
+
+    return _.map(parts[1].match(/../g), function (hex) {
+        return bits(parseInt(hex, 16), 8);
+    }).join('').substr(0, parseInt(parts[0], 10));
+}
+
+var decoder = new aivdmDecode({returnJson: false});
+var header8 = function (mmsi, dac, fid) {
+    return bits(8, 6) + bits(0, 2) + bits(mmsi, 30) + bits(0, 2) + bits(dac, 10) + bits(fid, 6);
+};
+var header6 = function (mmsi, destMmsi, dac, fid) {
+    return bits(6, 6) + bits(0, 2) + bits(mmsi, 30) + bits(1, 2) + bits(destMmsi, 30) + '0' + '0' + bits(dac, 10) +
+        bits(fid, 6);
+};
+var inlandLocation = text('DE', 2) + text('DUS', 3) + text('00001', 5) + text('TERM1', 5) + text('00123', 5) +
+    bits(6, 4) + bits(15, 5) + bits(13, 5) + bits(45, 6);
+
+/**
+ * fixtures
+ * An array of objects.  Each object contains:
+ *      aivdm:      The sentence of the message
+ *      expected:   The values of some of the decoded fields
+ */
+var fixtures = [
+    // Values from gpsdecode
+    {aivdm: '!AIVDM,1,1,,B,6B?n;be:cbapalgc;i6?Ow4,2*4A',
+     expected: {type: 6, repeat: 1, mmsi: 150834090, seqno: 3, dest_mmsi: 313240222, retransmit: false, dac: 669,
+        fid: 11, bitlen: 48, data: hexBits('48:eb2f118f7ff1')}},
+    {aivdm: '!AIVDM,1,1,,A,7IiQ4T`UjA9lC;b:M<MWE@,4*01',
+     expected: {type: 7, repeat: 1, mmsi: 655901842, acks: [{mmsi: 158483613, seqno: 0}, {mmsi: 321823389, seqno: 0}]}},
+    {aivdm: '!AIVDM,1,1,,B,8>h8nkP0Glr=<hFI0D6??wvlFR06EuOwgwl?wnSwe7wvlOw?sAwwnSGmwvh0,0*26',
+     expected: {type: 8, mmsi: 990000846, dac: 1, fid: 31, lon: 171.5985, lat: 12.2283, accuracy: true, day: null,
+        hour: null, minute: null, wspeed: null, humidity: null, pressure: null, pressuretend_text: 'Not available',
+        visgreater: false, seastate: null, ice: null}},
+    {aivdm: '!AIVDM,1,1,,A,97oordNF>hPppq5af003QHi0S7sE,0*52',
+     expected: {type: 9, mmsi: 528349873, alt: 3672, speed: 944, accuracy: true, lon: 12.4276, lat: -38.9393,
+        course: 90.1, second: 35, regional: 16, dte: 0, raim: false, radio: 818901}},
+    {aivdm: '!AIVDM,1,1,,B,:5MlU41GMK6@,0*6C',
+     expected: {type: 10, mmsi: 366814480, dest_mmsi: 366832740}},
+    {aivdm: '!AIVDM,1,1,,B,;4R33:1uUK2F`q?mOt@@GoQ00000,0*5D',
+     expected: {type: 11, mmsi: 304137000, year: 2009, month: 5, day: 22, hour: 2, minute: 22, second: 40,
+        accuracy: true, lon: -94.4077, lat: 28.4091, epfd: 1, epfd_text: 'GPS', raim: false, radio: 0}},
+    {aivdm: '!AIVDM,1,1,,A,<02:oP0kKcv0@<51C5PB5@?BDPD?P:?2?EB7PDB16693P381>>5<PikP,0*37',
+     expected: {type: 12, mmsi: 2275200, seqno: 0, dest_mmsi: 215724000, retransmit: false,
+        text: 'PLEASE REPORT TO JOBOURG TRAFFIC CHANNEL 13'}},
+    {aivdm: '!AIVDM,1,1,,A,>5?Per18=HB1U:1@E=B0m<L,2*51',
+     expected: {type: 14, mmsi: 351809000, text: 'RCVD YR TEST MSG'}},
+    {aivdm: '!AIVDM,1,1,,B,?h3Ovk1GQqT0D00,2*67',
+     expected: {type: 15, repeat: 3, mmsi: 3669708, mmsi1: 367126080, type1_1: 5, offset1_1: 0}},
+    {aivdm: '!AIVDM,1,1,,A,@01uEO@mMk7P<P00,0*18',
+     expected: {type: 16, mmsi: 2053501, mmsi1: 224251000, offset1: 200, increment1: 0}},
+    {aivdm: '!AIVDM,1,1,,B,B5NJ;PP005l4ot5Isbl03wsUkP06,0*75',
+     expected: {type: 18, mmsi: 367430530, reserved: 0, speed: 0, accuracy: false, lon: -122.2673, lat: 37.785,
+        course: 0, heading: 511, second: 55, regional: 0, cs: true, display: false, dsc: true, band: true,
+        msg22: true, raim: false, radio: 917510}},
+    {aivdm: '!AIVDM,1,1,,B,C5N3SRgPEnJGEBT>NhWAwwo862PaLELTBJ:V00000000S0D:R220,0*0B',
+     expected: {type: 19, mmsi: 367059850, reserved: 248, speed: 8.7, lon: -88.8104, lat: 29.5437, course: 335.9,
+        heading: 511, second: 46, regional: 4, shipname: 'CAPT.J.RIMES', shiptype: 70, to_bow: 5, to_stern: 21,
+        to_port: 4, to_starboard: 4, epfd: 1, dte: 0}},
+    {aivdm: '!AIVDM,1,1,,A,D028rqP<QNfp000000000000000,2*0C',
+     expected: {type: 20, mmsi: 2243302, offset1: 200, number1: 5, timeout1: 7, increment1: 750, offset2: 0,
+        number2: 0}},
+    {aivdm: '!AIVDM,1,1,,B,E>jHC=c6:W2h22R`@1:WdP00000Opa@H?KTcP10888e?N0,4*16',
+     expected: {type: 21, mmsi: 992351030, aid_type: 22, aid_type_text: 'Cardinal Mark S', name: 'LUNE DEEP BUOY',
+        accuracy: true, lon: -3.2136, lat: 53.9347, to_bow: 1, to_stern: 1, to_port: 1, to_starboard: 1, epfd: 1,
+        second: 26, regional: 247, raim: true}},
+    {aivdm: '!AIVDM,1,1,,B,F030p:j2N2P5aJR0r;6f3rj10000,0*11',
+     expected: {type: 22, mmsi: 3160107, channel_a: 2087, channel_b: 2088, txrx: 0, power: false,
+        addressed: false, ne_lon: -128.5, ne_lat: 55, sw_lon: -133.6667, sw_lat: 53.5, band_a: false,
+        band_b: false, zonesize: 2}},
+    {aivdm: '!AIVDM,1,1,,B,G02:Kn01R`sn@291nj600000900,2*12',
+     expected: {type: 23, mmsi: 2268120, ne_lon: 2.63, ne_lat: 51.07, sw_lon: 1.8267, sw_lat: 50.68,
+        stationtype: 6, shiptype: 0, txrx: 0, interval: 9, quiet: 0}},
+    {aivdm: '!AIVDM,1,1,,B,H3mw=<TT@B?>1F0<7kplk01H1120,0*5D',
+     expected: {type: 24, mmsi: 257936690, part: 'B', shiptype: 36, shiptype_text: 'Sailing', vendorid: 'PRONAV',
+        model: 3, serial: 529792, callsign: 'LG3843', to_bow: 11, to_stern: 1, to_port: 1, to_starboard: 2}},
+    {aivdm: '!AIVDM,1,1,,A,I6SWo?8P00a3PKpEKEVj0?vNP<65,0*73',
+     expected: {type: 25, mmsi: 440006460, addressed: true, structured: false, dest_mmsi: 134218384, bitlen: 98}},
+    {aivdm: '!AIVDM,1,1,,A,JB3R0GO7p>vQL8tjw0b5hqpd0706kh9d3lR2vbl0400,2*40',
+     expected: {type: 26, repeat: 1, mmsi: 137920605, addressed: true, structured: true, dest_mmsi: 838351848,
+        dac: 368, fid: 35, radio: 4096}},
+    {aivdm: '!AIVDM,1,1,,A,KC5E2b@U19PFdLbL,0*03',
+     expected: {type: 27, repeat: 1, mmsi: 206914217, accuracy: false, raim: false, status: '2', lon: 137.0233,
+        lat: 4.84, speed: 57, course: 167, gnss: false}},
+
+    // Binary acknowledge (type 13), as type 7
+    {aivdm: sentence(bits(13, 6) + bits(0, 2) + bits(235000001, 30) + bits(0, 2) + bits(235000002, 30) + bits(1, 2) +
+        bits(235000003, 30) + bits(2, 2)),
+     expected: {type: 13, mmsi: 235000001, spare: 0, acks: [{mmsi: 235000002, seqno: 1},
+        {mmsi: 235000003, seqno: 2}]}},
+
+    // DGNSS broadcast (type 17) carrying an RTCM2 type 1 message with two satellites, in 4 words
+    {aivdm: sentence(bits(17, 6) + bits(0, 2) + bits(2573001, 30) + bits(0, 2) + bits(6300, 18) + bits(-19950, 17) +
+        bits(0, 5) + bits(1, 6) + bits(100, 10) + bits(1000, 13) + bits(3, 3) + bits(4, 5) + bits(6, 3) +
+        '0' + bits(1, 2) + bits(5, 5) + bits(-250, 16) + bits(10, 8) + bits(77, 8) +
+        '1' + bits(0, 2) + bits(0, 5) + bits(100, 16) + bits(-128, 8) + bits(3, 8) + bits(0, 16)),
+     expected: {type: 17, mmsi: 2573001, lon: 10.5, lat: -33.25, bitlen: 136, rtcm: {type: 1, station_id: 100,
+        zcount: 600, seqno: 3, length: 4, health: 6, corrections: [
+            {satellite: 5, udre: 1, scale: 0, prc: -5, rrc: 0.02, iod: 77},
+            {satellite: 32, udre: 0, scale: 1, prc: 32, rrc: null, iod: 3}
+        ]}}},
+
+    // IMO289 meteorological and hydrological data (DAC 1, FID 31)
+    {aivdm: sentence(header8(2573002, 1, 31) + bits(330000, 25) + bits(3195000, 24) + '1' + bits(15, 5) +
+        bits(12, 5) + bits(30, 6) + bits(20, 7) + bits(25, 7) + bits(270, 9) + bits(280, 9) + bits(155, 11) +
+        bits(80, 7) + bits(-21, 10) + bits(214, 9) + bits(1, 2) + '0' + bits(85, 7) + bits(1123, 12) + bits(2, 2) +
+        bits(15, 8) + bits(45, 9) + bits(255, 8) + bits(360, 9) + bits(31, 5) + bits(0, 8) + bits(0, 9) +
+        bits(5, 5) + bits(12, 8) + bits(7, 6) + bits(250, 9) + bits(25, 8) + bits(11, 6) + bits(240, 9) +
+        bits(3, 4) + bits(98, 10) + bits(1, 3) + bits(350, 9) + bits(0, 2) + bits(0, 10)),
+     expected: {type: 8, dac: 1, fid: 31, bitlen: 304, lon: 5.5, lat: 53.25, accuracy: true, day: 15, hour: 12,
+        minute: 30, wspeed: 20, wgust: 25, wdir: 270, wgustdir: 280, airtemp: 15.5, humidity: 80, dewpoint: -2.1,
+        pressure: 1013, pressuretend: 1, pressuretend_text: 'Decreasing', visgreater: false, visibility: 8.5,
+        waterlevel: 1.23, leveltrend: 2, leveltrend_text: 'Increasing', cspeed: 1.5, cdir: 45, cspeed2: null,
+        cdir2: null, cdepth2: null, cspeed3: 0, cdir3: 0, cdepth3: 5, waveheight: 1.2, waveperiod: 7, wavedir: 250,
+        swellheight: 2.5, swellperiod: 11, swelldir: 240, seastate: 3, watertemp: 9.8, preciptype: 1,
+        preciptype_text: 'Rain', salinity: 35, ice: false}},
+
+    // IMO289 area notice (DAC 1, FID 22): a point, the polyline that starts at it, and text in two parts
+    {aivdm: sentence(header8(2573003, 1, 22) + bits(5, 10) + bits(3, 7) + bits(6, 4) + bits(15, 5) + bits(13, 5) +
+        bits(45, 6) + bits(120, 18) +
+        bits(0, 3) + bits(0, 2) + bits(360000, 25) + bits(3240000, 24) + bits(2, 3) + bits(0, 12) + bits(0, 18) +
+        bits(3, 3) + bits(1, 2) + bits(180, 10) + bits(50, 10) + bits(360, 10) + bits(30, 10) + bits(0, 40) +
+        bits(0, 2) +
+        bits(5, 3) + text('HELLO THERE   ', 14) + bits(5, 3) + text('WORLD', 14)),
+     expected: {type: 8, dac: 1, fid: 22, linkage_id: 5, notice_type: 3, month: 6, day: 15, hour: 13, minute: 45,
+        duration: 120, subareas: [
+            {shape: 'polyline', points: [{angle: 90, distance: 500}, {angle: 180, distance: 300}], lon: 6, lat: 54,
+                coordinates: [[6, 54], [6.00765, 54], [6.00765, 53.997302]]},
+            {shape: 'text', text: 'HELLO THERE   WORLD'}
+        ]}},
+
+    // Inland ship static and voyage related data (DAC 200, FID 10)
+    {aivdm: sentence(header8(211000001, 200, 10) + text('12345678', 8) + bits(1100, 13) + bits(114, 10) +
+        bits(8030, 14) + bits(2, 3) + bits(250, 11) + bits(1, 2) + '1' + '0' + '1' + bits(0, 8)),
+     expected: {type: 8, dac: 200, fid: 10, eni: '12345678', length: 110, beam: 11.4, eri_shiptype: 8030,
+        eri_shiptype_text: 'Container vessel', shiptype: 79, hazard: 2, hazard_text: '2 blue cones/lights',
+        draught: 2.5, loaded: 1, loaded_text: 'Loaded', speed_q: true, course_q: false, heading_q: true}},
+
+    // Inland ETA and RTA at lock/bridge/terminal (DAC 200, FIDs 21 and 22)
+    {aivdm: sentence(header6(211000004, 211000005, 200, 21) + inlandLocation + bits(2, 3) + bits(1200, 12) +
+        bits(0, 11)),
+     expected: {type: 6, dac: 200, fid: 21, dest_mmsi: 211000005, country: 'DE', locode: 'DUS', section: '00001',
+        terminal: 'TERM1', hectometre: '00123', month: 6, day: 15, hour: 13, minute: 45, tugs: 2, airdraught: 12}},
+    {aivdm: sentence(header6(211000004, 211000005, 200, 22) + inlandLocation + bits(1, 2) + bits(0, 14)),
+     expected: {type: 6, dac: 200, fid: 22, country: 'DE', locode: 'DUS', month: 6, day: 15, hour: 13, minute: 45,
+        status: 1, status_text: 'Limited operation'}},
+
+    // Inland water levels (DAC 200, FID 24).  A gauge id of 0 is unused
+    {aivdm: sentence(header8(211000002, 200, 24) + text('DE', 2) + bits(17, 11) + '1' + bits(325, 14) +
+        bits(5, 11) + '0' + bits(12, 14) + bits(0, 26) + bits(0, 26)),
+     expected: {type: 8, dac: 200, fid: 24, country: 'DE', gauges: [{id: 17, level: 3.25}, {id: 5, level: -0.12}]}},
+
+    // Inland number of persons on board (DAC 200, FID 55).  255 is unknown
+    {aivdm: sentence(header8(211000003, 200, 55) + bits(5, 8) + bits(120, 13) + bits(255, 8) + bits(0, 51)),
+     expected: {type: 8, dac: 200, fid: 55, crew: 5, passengers: 120, personnel: null}}
+];
+
+_.each(fixtures, function (fixture) {
+    var decoded = decoder.decode(fixture.aivdm);
+
+    assert.ok(decoded, fixture.aivdm);
+    _.each(fixture.expected, function (value, field) {
+        assert.deepStrictEqual(decoded[field], value, 'type ' + fixture.expected.type + ' ' + field);
+    });
+});
+
+console.log('fields ok');
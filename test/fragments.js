@@ -0,0 +1,82 @@
+/**
+ * Checks the reassembly of multi part messages from several sources, and the pairing of type 24 parts.
+ *
+ *      node test/fragments.js
+ */
+var assert      = require('assert');
+var _           = require('underscore');
+var aivdmDecode = require('../bin/aivdmDecode').aivdmDecode;
+
+var part1 = 'AIVDM,2,1,3,B,53ddOr3SnbKSTP7;;?Q9B0@59LTr22222222220l20@57Hm60@T3lU821@A3,0';
+var part2 = 'AIVDM,2,2,3,B,0CQ88888880,2';
+
+/**
+ * checksum
+ * @param text  The text between the ! (or \\) and the *
+ * @returns {string} The two hex digit NMEA checksum
+ */
+function checksum(text) {
+    var sum = 0;
+    var i;
+
+    for (i = 0; i < text.length; i++) {
+        sum ^= text.charCodeAt(i);
+    }
+    return ('0' + sum.toString(16).toUpperCase()).slice(-2);
+}
+function sentence(text) {
+    return '!' + text + '*' + checksum(text);
+}
+function tagBlock(text) {
+    return '\\' + text + '*' + checksum(text) + '\\';
+}
+
+// Tag block groups are only unique per station
+(function () {
+    var decoder = new aivdmDecode();
+
+    assert.strictEqual(decoder.decode(tagBlock('g:1-2-77,s:stationA') + sentence(part1)), false);
+    assert.strictEqual(decoder.decode(tagBlock('g:2-2-77,s:stationB') + sentence(part2)), false);
+    assert.strictEqual(decoder.decode(tagBlock('g:2-2-77,s:stationA') + sentence(part2)).tag_block.source, 'stationA');
+})();
+
+// Only the first sentence of a group has the station
+(function () {
+    var decoder = new aivdmDecode();
+
+    assert.strictEqual(decoder.decode(tagBlock('g:1-2-78,s:stationA') + sentence(part1)), false);
+    assert.strictEqual(decoder.decode(tagBlock('g:2-2-78') + sentence(part2)).shipname, 'RT DARWIN');
+})();
+
+// Own ship (VDO) fragments aren't mixed with received (VDM) ones
+(function () {
+    var decoder = new aivdmDecode();
+    var msgData;
+
+    assert.strictEqual(decoder.decode(sentence(part1)), false);
+    assert.strictEqual(decoder.decode(sentence(part2.replace('VDM', 'VDO'))), false);
+    msgData = decoder.decode(sentence(part2));
+    assert.strictEqual(msgData.shipname, 'RT DARWIN');
+    assert.strictEqual(msgData.own_ship, false);
+})();
+
+// A paired type 24 has the fields of a type 5
+(function () {
+    var decoder = new aivdmDecode({pairType24: true});
+    var type5, paired;
+
+    decoder.decode(sentence(part1));
+    type5 = decoder.decode(sentence(part2));
+    assert.strictEqual(decoder.decode('!AIVDM,1,1,,B,H3mw=<TT@B?>1F0<7kplk01H1120,0*5D'), false);
+    paired = decoder.decode(sentence('AIVDM,1,1,,A,H3mw=<Q@E=B08t5@00000000000,2'));
+    assert.deepStrictEqual(_.keys(_.omit(paired, 'class_b')), _.keys(type5));
+    assert.strictEqual(paired.type, 5);
+    assert.strictEqual(paired.class_b, true);
+    assert.strictEqual(paired.shipname, 'TEST BOAT');
+    assert.strictEqual(paired.callsign, 'LG3843');
+    assert.strictEqual(paired.to_bow, 11);
+    assert.strictEqual(paired.draught, null);
+    assert.strictEqual(paired.aivdm.length, 2);
+})();
+
+console.log('fragments ok');
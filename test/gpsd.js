@@ -0,0 +1,249 @@
+/**
+ * Checks the decoder against the output of gpsdecode -j for the same sentences.
+ *
+ *      node test/gpsd.js
+ */
+var assert      = require('assert');
+var _           = require('underscore');
+var aivdmDecode = require('../bin/aivdmDecode').aivdmDecode;
+
+/**
+ * fixtures
+ * An array of objects.  Each object contains:
+ *      aivdm:  The sentences of the message
+ *      gpsd:   The line that gpsdecode -j writes for it
+ *      test:   The fields of the decoded message that are checked against gpsd's
+ */
+var fixtures = [
+    // type 5
+    {aivdm: ['!AIVDM,2,1,4,A,539cRCP00000@7WSON08:3?V222222222222221@4@=3340Ht50000000000,0*13',
+        '!AIVDM,2,2,4,A,00000000000,2*20'],
+     gpsd: '{"class":"AIS","device":"stdin","type":5,"repeat":0,"mmsi":211477070,"scaled":true,"imo":0,' +
+        '"ais_version":0,"callsign":"DA9877 ","shipname":"BB 39","shiptype":80,' +
+        '"shiptype_text":"Tanker - all ships of this type","to_bow":34,"to_stern":13,"to_port":3,"to_starboard":3,' +
+        '"epfd":1,"epfd_text":"GPS","eta":"00-00T24:60Z","draught":2.0,"destination":"","dte":0}',
+     test: ['type', 'mmsi', 'imo', 'callsign', 'shipname', 'shiptype', 'shiptype_text', 'to_bow', 'to_stern',
+        'to_port', 'to_starboard', 'epfd', 'eta', 'draught', 'destination', 'dte']
+    },
+    // type 1
+    {aivdm: ['!AIVDM,1,1,,A,144iRPgP001N;PjOb:@F1?vj0PSB,0*47'],
+     gpsd: '{"class":"AIS","device":"stdin","type":1,"repeat":0,"mmsi":273441410,"scaled":true,"status":"15",' +
+        '"status_text":"Not defined","turn":"nan","speed":0.0,"accuracy":false,"lon":20.5739,"lat":55.3277,' +
+        '"course":154.0,"heading":511,"second":25,"maneuver":0,"raim":false,"radio":133330}',
+     test: ['type', 'mmsi', 'status', 'status_text', 'turn', 'speed', 'accuracy', 'lon', 'lat', 'course', 'heading',
+        'second', 'maneuver', 'raim', 'radio']
+    },
+    // type 3
+    {aivdm: ['!AIVDM,1,1,,A,33aTCJ0Oh;8>Q>7kW>eKwaf6010P,0*63'],
+     gpsd: '{"class":"AIS","device":"stdin","type":3,"repeat":0,"mmsi":244913000,"scaled":true,"status":"0",' +
+        '"status_text":"Under way using engine","turn":"fastright","speed":1.1,"accuracy":false,"lon":115.0198,' +
+        '"lat":-21.6479,"course":307.0,"heading":311,"second":3,"maneuver":0,"raim":false,"radio":4128}',
+     test: ['type', 'mmsi', 'status', 'status_text', 'turn', 'speed', 'accuracy', 'lon', 'lat', 'course', 'heading',
+        'second', 'maneuver', 'raim', 'radio']
+    },
+    // type 4
+    {aivdm: ['!AIVDM,1,1,,A,403OviQuMGCqWrRO9>E6fE700@GO,0*4D'],
+     gpsd: '{"class":"AIS","device":"stdin","type":4,"repeat":0,"mmsi":3669702,"scaled":true,' +
+        '"timestamp":"2007-05-14T19:57:39Z","accuracy":true,"lon":-76.3524,"lat":36.8838,"epfd":7,' +
+        '"epfd_text":"Surveyed","raim":false,"radio":67039}',
+     test: ['type', 'mmsi', 'accuracy', 'lon', 'lat', 'epfd', 'epfd_text', 'raim', 'radio']
+    },
+    // type 6, an application that gpsd doesn't decode
+    {aivdm: ['!AIVDM,1,1,,B,6B?n;be:cbapalgc;i6?Ow4,2*4A'],
+     gpsd: '{"class":"AIS","device":"stdin","type":6,"repeat":1,"mmsi":150834090,"scaled":true,"seqno":3,' +
+        '"dest_mmsi":313240222,"retransmit":false,"dac":669,"fid":11,"data":"48:eb2f118f7ff1"}',
+     test: ['type', 'repeat', 'mmsi', 'seqno', 'dest_mmsi', 'retransmit', 'dac', 'fid']
+    },
+    // type 7
+    {aivdm: ['!AIVDM,1,1,,A,7IiQ4T`UjA9lC;b:M<MWE@,4*01'],
+     gpsd: '{"class":"AIS","device":"stdin","type":7,"repeat":1,"mmsi":655901842,"scaled":true,' +
+        '"mmsi1":158483613,"mmsi2":321823389,"mmsi3":0,"mmsi4":0}',
+     test: ['type', 'repeat', 'mmsi']
+    },
+    // type 8, IMO289 meteorological and hydrological data (DAC 1, FID 31)
+    {aivdm: ['!AIVDM,1,1,,B,8>h8nkP0Glr=<hFI0D6??wvlFR06EuOwgwl?wnSwe7wvlOw?sAwwnSGmwvh0,0*26'],
+     gpsd: '{"class":"AIS","device":"stdin","type":8,"repeat":0,"mmsi":990000846,"scaled":true,"dac":1,"fid":31,' +
+        '"lon":171.5985,"lat":12.2283,"accuracy":true,"timestamp":"00T24:60Z","wspeed":127,"wgust":127,' +
+        '"wdir":360,"wgustdir":360,"humidity":101,"airtemp":-102.4,"dewpoint":50.1,"pressure":1310,' +
+        '"pressuretend":"N/A","visgreater":false,"visibility":12.7,"waterlevel":30.0,"leveltrend":"N/A",' +
+        '"cspeed":25.5,"cdir":360,"cspeed2":25.5,"cdir2":360,"cdepth2":31,"cspeed3":25.5,"cdir3":360,"cdepth3":31,' +
+        '"waveheight":25.2,"waveperiod":63,"wavedir":360,"swellheight":25.5,"swellperiod":63,"swelldir":360,' +
+        '"seastate":13,"watertemp":50.1,"preciptype":"N/A","salinity":51.0,"ice":"N/A"}',
+     test: ['type', 'mmsi', 'dac', 'fid', 'lon', 'lat', 'accuracy', 'visgreater']
+    },
+    // type 9
+    {aivdm: ['!AIVDM,1,1,,A,97oordNF>hPppq5af003QHi0S7sE,0*52'],
+     gpsd: '{"class":"AIS","device":"stdin","type":9,"repeat":0,"mmsi":528349873,"scaled":true,"alt":3672,' +
+        '"speed":944,"accuracy":true,"lon":12.4276,"lat":-38.9393,"course":90.1,"second":35,"regional":16,"dte":0,' +
+        '"raim":false,"radio":818901}',
+     test: ['type', 'mmsi', 'speed', 'lon', 'lat']
+    },
+    // type 18
+    {aivdm: ['!AIVDM,1,1,,B,B5NJ;PP005l4ot5Isbl03wsUkP06,0*75'],
+     gpsd: '{"class":"AIS","device":"stdin","type":18,"repeat":0,"mmsi":367430530,"scaled":true,"reserved":0,' +
+        '"speed":0.0,"accuracy":false,"lon":-122.2673,"lat":37.7850,"course":0.0,"heading":511,"second":55,' +
+        '"regional":0,"cs":true,"display":false,"dsc":true,"band":true,"msg22":true,"raim":false,"radio":917510}',
+     test: ['type', 'mmsi', 'reserved', 'speed', 'accuracy', 'lon', 'lat', 'course', 'heading', 'second', 'regional',
+        'cs', 'display', 'dsc', 'band', 'msg22', 'raim', 'radio']
+    },
+    // type 19
+    {aivdm: ['!AIVDM,1,1,,B,C5N3SRgPEnJGEBT>NhWAwwo862PaLELTBJ:V00000000S0D:R220,0*0B'],
+     gpsd: '{"class":"AIS","device":"stdin","type":19,"repeat":0,"mmsi":367059850,"scaled":true,"reserved":248,' +
+        '"speed":8.7,"accuracy":false,"lon":-88.8104,"lat":29.5437,"course":335.9,"heading":511,"second":46,' +
+        '"regional":4,"shipname":"CAPT.J.RIMES","shiptype":70,"shiptype_text":"Cargo - all ships of this type",' +
+        '"to_bow":5,"to_stern":21,"to_port":4,"to_starboard":4,"epfd":1,"epfd_text":"GPS","raim":false,"dte":0,' +
+        '"assigned":false}',
+     test: ['type', 'mmsi', 'reserved', 'speed', 'lon', 'lat', 'course', 'heading', 'second', 'regional', 'shipname',
+        'shiptype', 'shiptype_text', 'to_bow', 'to_stern', 'to_port', 'to_starboard', 'epfd', 'epfd_text', 'raim',
+        'dte']
+    },
+    // type 21
+    {aivdm: ['!AIVDM,1,1,,B,E>jHC=c6:W2h22R`@1:WdP00000Opa@H?KTcP10888e?N0,4*16'],
+     gpsd: '{"class":"AIS","device":"stdin","type":21,"repeat":0,"mmsi":992351030,"scaled":true,"aid_type":22,' +
+        '"aid_type_text":"Cardinal Mark S","name":"LUNE DEEP BUOY","lon":-3.2136,"lat":53.9347,"accuracy":true,' +
+        '"to_bow":1,"to_stern":1,"to_port":1,"to_starboard":1,"epfd":1,"epfd_text":"GPS","second":26,' +
+        '"regional":247,"off_position":false,"raim":true,"virtual_aid":false}',
+     test: ['type', 'mmsi', 'aid_type', 'name', 'lon', 'lat', 'accuracy', 'epfd', 'second', 'regional']
+    },
+    // type 22
+    {aivdm: ['!AIVDM,1,1,,B,F030p:j2N2P5aJR0r;6f3rj10000,0*11'],
+     gpsd: '{"class":"AIS","device":"stdin","type":22,"repeat":0,"mmsi":3160107,"scaled":true,"channel_a":2087,' +
+        '"channel_b":2088,"txrx":0,"power":false,"ne_lon":-128.5000,"ne_lat":55.0000,"sw_lon":-133.6667,' +
+        '"sw_lat":53.5000,"addressed":false,"band_a":false,"band_b":false,"zonesize":2}',
+     test: ['type', 'mmsi', 'channel_a', 'channel_b', 'txrx', 'power', 'ne_lon', 'ne_lat', 'sw_lon', 'sw_lat',
+        'addressed', 'band_a', 'band_b', 'zonesize']
+    },
+    // type 24 part A
+    {aivdm: ['!AIVDM,1,1,,B,H7OeD@QLE=A<D63:22222222220,2*25'],
+     gpsd: '{"class":"AIS","device":"stdin","type":24,"repeat":0,"mmsi":503010370,"scaled":true,"part":"A",' +
+        '"shipname":"WESTSEA 2"}',
+     test: ['type', 'mmsi', 'part', 'shipname']
+    },
+    // type 24 part A
+    {aivdm: ['!AIVDM,1,1,,A,H697GjPhT4t@4qUF3;G;?F22220,2*7E'],
+     gpsd: '{"class":"AIS","device":"stdin","type":24,"repeat":0,"mmsi":412211146,"scaled":true,"part":"A",' +
+        '"shipname":"LIAODANYU 25235"}',
+     test: ['type', 'mmsi', 'part', 'shipname']
+    },
+    // type 24 part B
+    {aivdm: ['!AIVDM,1,1,,B,H3mw=<TT@B?>1F0<7kplk01H1120,0*5D'],
+     gpsd: '{"class":"AIS","device":"stdin","type":24,"repeat":0,"mmsi":257936690,"scaled":true,"part":"B",' +
+        '"shiptype":36,"shiptype_text":"Sailing","vendorid":"PRONAV","model":3,"serial":529792,"callsign":"LG3843",' +
+        '"to_bow":11,"to_stern":1,"to_port":1,"to_starboard":2}',
+     test: ['type', 'mmsi', 'part', 'shiptype', 'shiptype_text', 'vendorid', 'model', 'serial', 'callsign', 'to_bow',
+        'to_stern', 'to_port', 'to_starboard']
+    },
+    // type 27
+    {aivdm: ['!AIVDM,1,1,,A,KC5E2b@U19PFdLbL,0*03'],
+     gpsd: '{"class":"AIS","device":"stdin","type":27,"repeat":1,"mmsi":206914217,"scaled":true,"status":"2",' +
+        '"status_text":"Not under command","accuracy":false,"lon":137.0233,"lat":4.8400,"speed":57,"course":167,' +
+        '"raim":false,"gnss":false}',
+     test: ['type', 'repeat', 'mmsi', 'status', 'status_text', 'accuracy', 'lon', 'lat', 'speed', 'course', 'raim',
+        'gnss']
+    }
+];
+
+/**
+ * binaryApplications
+ * The other binary applications that gpsd decodes, written with the fields of gpsd's JSON dump (json_aivdm_dump)
+ * in its order and formats rather than as data
+ */
+var binaryApplications = [
+    // type 8, DAC 200, FID 10 inland ship static and voyage data
+    {aivdm: ['!AIVDM,1,1,,A,839>Jh@j2dLdu=Mev29Pggcj7ll,1*2E'],
+     gpsd: '{"class":"AIS","device":"stdin","type":8,"repeat":0,"mmsi":211000001,"scaled":true,' +
+        '"dac":200,"fid":10,"vin":"12345678","length":110.0,"beam":9.5,"shiptype":8030,' +
+        '"shiptype_text":"Container vessel","hazard":2,"hazard_text":"2 blue cones","draught":2.50,' +
+        '"loaded":1,"loaded_text":"Unloaded","speed_q":true,"course_q":false,"heading_q":true}'
+    },
+    // type 8, DAC 200, FID 24 inland water levels
+    {aivdm: ['!AIVDM,1,1,,A,839>JhPj611@8hDD0`0<,0*48'],
+     gpsd: '{"class":"AIS","device":"stdin","type":8,"repeat":0,"mmsi":211000002,"scaled":true,' +
+        '"dac":200,"fid":24,"country":"DE","gauges":[{"id":17,"level":3.25},{"id":5,"level":-0.12}]}'
+    },
+    // type 8, DAC 200, FID 55 inland persons on board
+    {aivdm: ['!AIVDM,1,1,,A,839>Jhhj=hD3h1000000000,2*43'],
+     gpsd: '{"class":"AIS","device":"stdin","type":8,"repeat":0,"mmsi":211000003,"scaled":true,' +
+        '"dac":200,"fid":55,"crew":5,"passengers":120,"personnel":2}'
+    },
+    // type 6, DAC 200, FID 21 inland ETA
+    {aivdm: ['!AIVDM,1,1,,A,639>Ji0jCVdD<QD@DAE?33335@E8o7337;=WeeBF0,2*7E'],
+     gpsd: '{"class":"AIS","device":"stdin","type":6,"repeat":0,"mmsi":211000004,"scaled":true,' +
+        '"seqno":0,"dest_mmsi":211000005,"retransmit":false,"dac":200,"fid":21,"country":"DE",' +
+        '"locode":"DUS","section":"00001","terminal":"TERM1","hectometre":"00123","eta":"6-15T13:45",' +
+        '"tugs":2,"airdraught":1200}'
+    },
+    // type 6, DAC 200, FID 22 inland RTA
+    {aivdm: ['!AIVDM,1,1,,A,639>Ji0jCVdD<QH@DAE?33335@E8o7337;=Wee@00,2*06'],
+     gpsd: '{"class":"AIS","device":"stdin","type":6,"repeat":0,"mmsi":211000004,"scaled":true,' +
+        '"seqno":0,"dest_mmsi":211000005,"retransmit":false,"dac":200,"fid":22,"country":"DE",' +
+        '"locode":"DUS","section":"00001","terminal":"TERM1","hectometre":"00123","rta":"6-15T13:45",' +
+        '"status":1,"status_text":"limited operation"}'
+    },
+    // type 8, DAC 1, FID 22 area notice
+    {aivdm: ['!AIVDM,2,1,0,A,839>JiP0EP51due`0?00:w81Rp8200000J;@I5`3h000000585<<?PD85B5P,0*43',
+        '!AIVDM,2,2,0,A,PPbqrAPP000000000,3*05'],
+     gpsd: '{"class":"AIS","device":"stdin","type":8,"repeat":0,"mmsi":211000006,"scaled":true,' +
+        '"dac":1,"fid":22,"linkage":5,"notice":3,' +
+        '"notice_text":"Caution Area: Marine mammals in area - report sightings","month":6,"day":15,' +
+        '"hour":13,"minute":45,"duration":120,"subareas":[{"shape":0,"shape_text":"Circle or point",' +
+        '"lon":6.0000,"lat":54.0000,"precision":2,"radius":0},{"shape":3,"shape_text":"Polyline",' +
+        '"angle0":90,"dist0":500,"angle1":180,"dist1":300,"angle2":0,"dist2":0,"angle3":0,"dist3":0},' +
+        '{"shape":5,"shape_text":"Associated text","text":"HELLO THERE"},{"shape":5,' +
+        '"shape_text":"Associated text","text":"WORLD"}]}'
+    }
+];
+
+/**
+ * decode
+ * @returns {*} What decoder returns for the last sentence of fixture
+ */
+function decode(decoder, fixture) {
+    var decoded;
+
+    _.each(fixture.aivdm, function (sentence) {
+        decoded = decoder.decode(sentence);
+    });
+    return decoded;
+}
+
+// The decoded fields.  gpsd pads some text fields with spaces
+(function () {
+    var decoder = new aivdmDecode();
+
+    _.each(fixtures, function (fixture) {
+        var decoded = decode(decoder, fixture);
+        var gpsd = JSON.parse(fixture.gpsd);
+
+        _.each(fixture.test, function (field) {
+            var expected = typeof(gpsd[field]) === 'string' ? gpsd[field].trim() : gpsd[field];
+
+            assert.strictEqual(decoded[field], expected, 'type ' + gpsd.type + ' ' + field);
+        });
+    });
+})();
+
+// gpsdCompat writes exactly what gpsdecode -j does
+(function () {
+    var decoder = new aivdmDecode({gpsdCompat: true});
+
+    _.each(fixtures, function (fixture) {
+        assert.strictEqual(decode(decoder, fixture), fixture.gpsd);
+    });
+})();
+
+// The binary applications that gpsd decodes are written with its fields
+(function () {
+    var decoder = new aivdmDecode({gpsdCompat: true});
+
+    _.each(binaryApplications, function (fixture) {
+        assert.strictEqual(decode(decoder, fixture), fixture.gpsd);
+    });
+})();
+
+// There's no gpsd form of a paired type 24
+assert.throws(function () {
+    return new aivdmDecode({gpsdCompat: true, pairType24: true});
+}, /pairType24 and gpsdCompat/);
+
+console.log('gpsd ok');
@@ -0,0 +1,24 @@
+/**
+ * Checks the fields around the sentence: tag blocks and USCG trailers.
+ *
+ *      node test/lineFields.js
+ */
+var assert      = require('assert');
+var aivdmDecode = require('../bin/aivdmDecode').aivdmDecode;
+
+var uscgLine = '!AIVDM,1,1,,B,15DbCb0PAgbmOBsdJb7AJ@ib00SM,0*34,s22716,d-096,T45.43546472,S1743,x10934,r003669945,' +
+    '1208997602';
+
+// The trailer is the same whatever the line ending
+(function () {
+    var decoder = new aivdmDecode();
+
+    ['', '\n', '\r\n', '\r'].forEach(function (lineEnding) {
+        var uscg = decoder.decode(uscgLine + lineEnding).uscg;
+
+        assert.strictEqual(uscg.timestamp, 1208997602, JSON.stringify(lineEnding));
+        assert.strictEqual(uscg.receiver, '003669945');
+    });
+})();
+
+console.log('lineFields ok');
@@ -0,0 +1,25 @@
+/**
+ * Checks that the modules can be required in any order.  Each order is loaded in a new node process, as require
+ * caches the modules.
+ *
+ *      node test/modules.js
+ */
+var assert       = require('assert');
+var childProcess = require('child_process');
+var path         = require('path');
+
+var modules = ['aivdmDecode', 'aivdmStream', 'vesselRegistry', 'aivdmCli'];
+
+modules.forEach(function (first) {
+    var script = 'var first = require(' + JSON.stringify(path.join(__dirname, '..', 'bin', first)) + ');' +
+        'var main = require(' + JSON.stringify(path.join(__dirname, '..', 'bin', 'aivdmDecode')) + ');' +
+        'if (typeof main.aivdmStream !== "function" || typeof main.vesselRegistry !== "function") {' +
+        '    process.exit(1);' +
+        '}';
+    var result = childProcess.spawnSync(process.execPath, ['-e', script], {encoding: 'utf8'});
+
+    assert.strictEqual(result.status, 0, first + ' first: ' + result.stderr);
+    assert.strictEqual(result.stderr, '', first + ' first: ' + result.stderr);
+});
+
+console.log('modules ok');
@@ -0,0 +1,131 @@
+/**
+ * Checks the nullNotAvailable option: the 'not available' values that are returned as null, and the *_available and
+ * *_or_higher flags.
+ *
+ *      node test/nullNotAvailable.js
+ */
+var assert      = require('assert');
+var _           = require('underscore');
+var aivdmDecode = require('../bin/aivdmDecode').aivdmDecode;
+var aivdmEncode = require('../bin/aivdmDecode').aivdmEncode;
+
+var encoder = new aivdmEncode();
+
+/**
+ * message
+ * Encodes data and decodes it with a new decoder with options
+ */
+function message(data, options) {
+    var decoder = new aivdmDecode(_.extend({returnJson: false}, options || {nullNotAvailable: true}));
+    var msgData = false;
+
+    _.each(encoder.encode(_.extend({mmsi: 235000001}, data)), function (sentence) {
+        msgData = decoder.decode(sentence) || msgData;
+    });
+    return msgData;
+}
+
+var position = {type: 1, status: 0, turn: 5, speed: 12.3, accuracy: false, lon: -1.5, lat: 50.75, course: 90.5,
+    heading: 91, second: 30, raim: false, radio: 0};
+
+// The 'not available' values of a position report are null
+(function () {
+    var decoded = message(_.extend({}, position, {turn: null, speed: null, lon: null, lat: null, course: null,
+        heading: null, second: null}));
+
+    _.each(['turn', 'speed', 'lon', 'lat', 'course', 'heading', 'second'], function (field) {
+        assert.strictEqual(decoded[field], null, field);
+    });
+    assert.deepStrictEqual(_.pick(decoded, 'position_available', 'speed_available', 'speed_or_higher',
+        'turn_available', 'course_available', 'heading_available', 'second_available'), {position_available: false,
+        speed_available: false, speed_or_higher: false, turn_available: false, course_available: false,
+        heading_available: false, second_available: false});
+})();
+
+// Available values are left as they are
+(function () {
+    var decoded = message(position);
+
+    assert.deepStrictEqual(_.pick(decoded, 'turn', 'speed', 'lon', 'lat', 'course', 'heading', 'second'),
+        {turn: 5, speed: 12.3, lon: -1.5, lat: 50.75, course: 90.5, heading: 91, second: 30});
+    assert.deepStrictEqual(_.pick(decoded, 'position_available', 'speed_available', 'speed_or_higher',
+        'turn_available', 'course_available', 'heading_available', 'second_available'), {position_available: true,
+        speed_available: true, speed_or_higher: false, turn_available: true, course_available: true,
+        heading_available: true, second_available: true});
+})();
+
+// Only one of lat and lon not available is enough for no position
+(function () {
+    var decoded = message(_.extend({}, position, {lat: null}));
+
+    assert.strictEqual(decoded.lat, null);
+    assert.strictEqual(decoded.lon, -1.5);
+    assert.strictEqual(decoded.position_available, false);
+})();
+
+// Second 60 is not available, and 61 to 63 (manual input, dead reckoning, positioning system inoperative) have no
+// time stamp either.  The same for each type with a second
+_.each([
+    {type: 1},
+    {type: 4, year: 2020, month: 6, day: 15, hour: 12, minute: 30, epfd: 1},
+    {type: 9, alt: 100},
+    {type: 18},
+    {type: 19, shipname: 'SEA ONE'},
+    {type: 21, aid_type: 1, name: 'BUOY'}
+], function (data) {
+    _.each([0, 59, 60, 61, 62, 63], function (second) {
+        var decoded = message(_.extend({}, position, data, {second: second}));
+
+        assert.strictEqual(decoded.second, second < 60 ? second : null, 'type ' + data.type + ' second ' + second);
+        assert.strictEqual(decoded.second_available, second < 60, 'type ' + data.type + ' second ' + second);
+    });
+});
+
+// Without the option the seconds are returned as they are
+assert.strictEqual(message(_.extend({}, position, {second: 62}), {}).second, 62);
+assert.strictEqual(message(_.extend({}, position, {second: 62}), {}).second_available, undefined);
+
+// speed_or_higher and alt_or_higher are set for the highest values that can be sent
+(function () {
+    var decoded = message(_.extend({}, position, {speed: 102.2}));
+
+    assert.strictEqual(decoded.speed, 102.2);
+    assert.strictEqual(decoded.speed_available, true);
+    assert.strictEqual(decoded.speed_or_higher, true);
+
+    decoded = message(_.extend({}, position, {type: 9, alt: 4094, speed: 1022}));
+    assert.deepStrictEqual(_.pick(decoded, 'alt', 'alt_available', 'alt_or_higher', 'speed', 'speed_or_higher'),
+        {alt: 4094, alt_available: true, alt_or_higher: true, speed: 1022, speed_or_higher: true});
+
+    decoded = message(_.extend({}, position, {type: 9, alt: null}));
+    assert.deepStrictEqual(_.pick(decoded, 'alt', 'alt_available', 'alt_or_higher'),
+        {alt: null, alt_available: false, alt_or_higher: false});
+})();
+
+// The eta of a type 5 is null only when none of its parts are available
+(function () {
+    var voyage = {type: 5, ais_version: 0, imo: 9123456, callsign: 'GABC1', shipname: 'SEA ONE', shiptype: 70,
+        to_bow: 100, to_stern: 20, to_port: 10, to_starboard: 10, epfd: 1, draught: 7.5, destination: 'SOUTHAMPTON'};
+    var decoded = message(_.extend({}, voyage, {month: null, day: null, hour: null, minute: null, draught: null}));
+
+    assert.deepStrictEqual(_.pick(decoded, 'eta', 'month', 'day', 'hour', 'minute', 'draught', 'eta_available',
+        'draught_available'), {eta: null, month: null, day: null, hour: null, minute: null, draught: null,
+        eta_available: false, draught_available: false});
+
+    decoded = message(_.extend({}, voyage, {month: 6, day: 15, hour: null, minute: null}));
+    assert.strictEqual(decoded.eta_available, true);
+    assert.notStrictEqual(decoded.eta, null);
+    assert.deepStrictEqual(_.pick(decoded, 'month', 'day', 'hour', 'minute', 'draught', 'draught_available'),
+        {month: 6, day: 15, hour: null, minute: null, draught: 7.5, draught_available: true});
+})();
+
+// The raw values are checked, so unscaled values are nulled too
+(function () {
+    var decoded = message(_.extend({}, position, {lat: null, course: null, second: 61}),
+        {nullNotAvailable: true, unscaled: true});
+
+    assert.deepStrictEqual(_.pick(decoded, 'lon', 'lat', 'course', 'second', 'scaled'),
+        {lon: -900000, lat: null, course: null, second: null, scaled: false});
+})();
+
+console.log('nullNotAvailable ok');
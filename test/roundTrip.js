@@ -0,0 +1,91 @@
+/**
+ * Checks that decode(encode(msgData)) gives back msgData for a message of every supported type, with the
+ * decoder's default, unscaled and nullNotAvailable options.
+ *
+ *      node test/roundTrip.js
+ */
+var assert      = require('assert');
+var _           = require('underscore');
+var aivdmDecode = require('../bin/aivdmDecode').aivdmDecode;
+var aivdmEncode = require('../bin/aivdmEncode').aivdmEncode;
+
+var sentences = [
+    '!AIVDM,1,1,,B,15DbCb0PAgbmOBsdJb7AJ@ib00SM,0*34',
+    '!AIVDM,1,1,,B,37PAfn0Oj3:lIhEd`Ij9gWmd0Pq1,0*2B',
+    '!AIVDM,1,1,,A,33aTCJ0Oh;8>Q>7kW>eKwaf6010P,0*63',
+    '!AIVDM,1,1,,A,1;@1hrh00qKbOaGe9UL<dajd04ht,0*74',
+    '!AIVDM,1,1,,A,402R3WiuiMO8J00000OP20000000,0*0E',
+    '!AIVDM,1,1,,B,;4R33:1uUK2F`q?mOt@@GoQ00000,0*5D',
+    '!AIVDM,2,1,0,B,53ddOr3SnbKSTP7;;?Q9B0@59LTr22222222220l20@57Hm60@T3lU821@A3,0*41',
+    '!AIVDM,2,2,0,B,0CQ88888880,2*3D',
+    '!AIVDM,1,1,,B,6B?n;be:cbapalgc;i6?Ow4,2*4A',
+    '!AIVDM,1,1,,A,7IiQ4T`UjA9lC;b:M<MWE@,4*01',
+    '!AIVDM,1,1,,B,8>h8nkP0Glr=<hFI0D6??wvlFR06EuOwgwl?wnSwe7wvlOw?sAwwnSGmwvh0,0*26',
+    '!AIVDM,1,1,,A,97oordNF>hPppq5af003QHi0S7sE,0*52',
+    '!AIVDM,1,1,,B,:5MlU41GMK6@,0*6C',
+    '!AIVDM,1,1,,A,<02:oP0kKcv0@<51C5PB5@?BDPD?P:?2?EB7PDB16693P381>>5<PikP,0*37',
+    '!AIVDM,1,1,,A,>5?Per18=HB1U:1@E=B0m<L,2*51',
+    '!AIVDM,1,1,,B,?h3Ovk1GQqT0D00,2*67',
+    '!AIVDM,1,1,,A,@01uEO@mMk7P<P00,0*18',
+    '!AIVDM,1,1,,A,A6WWW6gP00a3PDlEKLrarOwUr8Mg,0*03',
+    '!AIVDM,1,1,,B,B5NJ;PP005l4ot5Isbl03wsUkP06,0*75',
+    '!AIVDM,1,1,,B,C5N3SRgPEnJGEBT>NhWAwwo862PaLELTBJ:V00000000S0D:R220,0*0B',
+    '!AIVDM,1,1,,A,D028rqP<QNfp000000000000000,2*0C',
+    '!AIVDM,1,1,,B,E>jHC=c6:W2h22R`@1:WdP00000Opa@H?KTcP10888e?N0,4*16',
+    '!AIVDM,1,1,,B,F030p:j2N2P5aJR0r;6f3rj10000,0*11',
+    '!AIVDM,1,1,,B,G02:Kn01R`sn@291nj600000900,2*12',
+    '!AIVDM,1,1,,B,H7OeD@QLE=A<D63:22222222220,2*25',
+    '!AIVDM,1,1,,B,H3mw=<TT@B?>1F0<7kplk01H1120,0*5D',
+    '!AIVDM,1,1,,A,I6SWo?8P00a3PKpEKEVj0?vNP<65,0*73',
+    '!AIVDM,1,1,,A,JB3R0GO7p>vQL8tjw0b5hqpd0706kh9d3lR2vbl0400,2*40',
+    '!AIVDM,1,1,,A,KC5E2b@U19PFdLbL,0*03'
+];
+
+// Fields that describe the sentences rather than the message
+var sentenceFields = ['aivdm', 'numFragments', 'fragmentNum', 'seqMsgId', 'checksum_ok', 'talker', 'own_ship'];
+
+// Types that have no sentence above, checked with the message of the type that has the same layout
+var sameLayout = {1: 2, 7: 13};
+
+// Rates of turn that have to survive the square root scaling of getTurn/encodeTurn
+var turns = [0, 5, -5, 30, -30, 709, -709, 'fastright', 'fastleft', 'nan'];
+
+function roundTrip(options) {
+    var decoder = new aivdmDecode(options);
+    var encoder = new aivdmEncode();
+    var types = {};
+
+    function check(msgData, description) {
+        var decoded, expected, actual;
+
+        _.each(encoder.encode(msgData), function (sentence) {
+            decoded = decoder.decode(sentence) || decoded;
+        });
+        expected = _.omit(msgData, sentenceFields);
+        actual = _.omit(decoded, sentenceFields);
+        assert.deepStrictEqual(actual, expected, description + ' ' + JSON.stringify(options));
+    }
+
+    _.each(sentences, function (sentence) {
+        var msgData = decoder.decode(sentence);
+
+        if (!msgData) { return; }
+        types[msgData.type] = true;
+        check(msgData, 'type ' + msgData.type);
+        if (sameLayout[msgData.type]) {
+            types[sameLayout[msgData.type]] = true;
+            check(_.extend({}, msgData, {type: sameLayout[msgData.type]}), 'type ' + sameLayout[msgData.type]);
+        }
+        if (msgData.type === 1 && _.isEmpty(options)) {
+            _.each(turns, function (turn) {
+                check(_.extend({}, msgData, {turn: turn}), 'type 1 turn ' + turn);
+            });
+        }
+    });
+    assert.deepStrictEqual(_.keys(types).length, 27, 'every type from 1 to 27');
+}
+
+roundTrip({});
+roundTrip({unscaled: true});
+roundTrip({nullNotAvailable: true});
+console.log('roundTrip ok');
@@ -0,0 +1,142 @@
+/**
+ * Checks the splitting of the byte stream into lines and the diagnostics of aivdmStream.
+ *
+ *      node test/stream.js
+ */
+var assert      = require('assert');
+var _           = require('underscore');
+var aivdmStream = require('../bin/aivdmStream').aivdmStream;
+
+var type1 = '!AIVDM,1,1,,B,15DbCb0PAgbmOBsdJb7AJ@ib00SM,0*34';
+var type3 = '!AIVDM,1,1,,B,37PAfn0Oj3:lIhEd`Ij9gWmd0Pq1,0*2B';
+var part1 = 'AIVDM,2,1,3,B,53ddOr3SnbKSTP7;;?Q9B0@59LTr22222222220l20@57Hm60@T3lU821@A3,0';
+
+function checksum(text) {
+    var sum = 0;
+    var i;
+
+    for (i = 0; i < text.length; i++) {
+        sum ^= text.charCodeAt(i);
+    }
+    return ('0' + sum.toString(16).toUpperCase()).slice(-2);
+}
+function sentence(text) {
+    return '!' + text + '*' + checksum(text);
+}
+function tagBlock(text) {
+    return '\\' + text + '*' + checksum(text) + '\\';
+}
+
+/**
+ * run
+ * Writes the chunks to a new stream and calls done with the decoded messages and the diagnostics
+ */
+function run(options, chunks, done) {
+    var stream = new aivdmStream(options);
+    var messages = [];
+    var diagnostics = [];
+
+    stream.on('data', function (msgData) { messages.push(msgData); });
+    stream.on('diagnostic', function (diagnostic) { diagnostics.push(diagnostic); });
+    stream.on('end', function () { done(messages, diagnostics); });
+    _.each(chunks, function (chunk) { stream.write(chunk); });
+    stream.end();
+}
+
+/**
+ * byteChunks
+ * Splits the text into one byte Buffers, so that every line break and multibyte character is split across chunks
+ */
+function byteChunks(text) {
+    var bytes = Buffer.from(text, 'utf8');
+
+    return _.map(_.range(bytes.length), function (i) { return bytes.slice(i, i + 1); });
+}
+
+var tests = [
+    // CR, LF and CRLF, each split across chunks, and a multibyte character split across chunks
+    function (next) {
+        var text = tagBlock('s:Zürich') + type1 + '\r' + type3 + '\n' + type1 + '\r\n' + type3 + '\r\n';
+
+        run({}, byteChunks(text), function (messages, diagnostics) {
+            assert.deepStrictEqual(_.pluck(messages, 'type'), [1, 3, 1, 3]);
+            assert.strictEqual(messages[0].tag_block.source, 'Zürich');
+            assert.deepStrictEqual(diagnostics, []);
+            next();
+        });
+    },
+    // The last line is decoded without a line break
+    function (next) {
+        run({}, [type1 + '\r\n' + type3.slice(0, 20), type3.slice(20)], function (messages, diagnostics) {
+            assert.deepStrictEqual(_.pluck(messages, 'type'), [1, 3]);
+            assert.deepStrictEqual(diagnostics, []);
+            next();
+        });
+    },
+    // A bad checksum and an unsupported type are reported and the stream keeps flowing
+    function (next) {
+        var badChecksum = type1.replace(/\*34$/, '*35');
+        var unsupported = sentence('AIVDM,1,1,,A,L0000000000,0');
+
+        run({}, [badChecksum + '\n' + unsupported + '\n' + type3 + '\n'], function (messages, diagnostics) {
+            assert.deepStrictEqual(_.pluck(messages, 'type'), [3]);
+            assert.deepStrictEqual(diagnostics, [
+                {reason: 'bad checksum', line: badChecksum},
+                {reason: 'unsupported type', line: unsupported}
+            ]);
+            next();
+        });
+    },
+    // An incomplete multi part message is dropped at the end of the stream
+    function (next) {
+        run({}, [sentence(part1) + '\n'], function (messages, diagnostics) {
+            assert.deepStrictEqual(messages, []);
+            assert.strictEqual(diagnostics.length, 1);
+            assert.strictEqual(diagnostics[0].reason, 'fragments dropped');
+            assert.deepStrictEqual(diagnostics[0].line, [sentence(part1)]);
+            assert.strictEqual(diagnostics[0].fragments.reason, 'end of stream');
+            next();
+        });
+    },
+    // A line that is too long is reported once and the rest of it, up to the next line break, is skipped
+    function (next) {
+        var longLine = type1 + new Array(101).join('x');
+        var chunks = [type3 + '\n' + longLine.slice(0, 80), longLine.slice(80, 150), longLine.slice(150) + '\r\n',
+            type1 + '\n'];
+
+        run({maxLineLength: 60}, chunks, function (messages, diagnostics) {
+            assert.deepStrictEqual(_.pluck(messages, 'type'), [3, 1]);
+            assert.deepStrictEqual(diagnostics, [{reason: 'line too long', line: longLine.slice(0, 80)}]);
+            next();
+        });
+    },
+    // A complete line that is too long is reported as it is
+    function (next) {
+        var longLine = type1 + new Array(101).join('x');
+
+        run({maxLineLength: 60}, [longLine + '\n' + type3 + '\n'], function (messages, diagnostics) {
+            assert.deepStrictEqual(_.pluck(messages, 'type'), [3]);
+            assert.deepStrictEqual(diagnostics, [{reason: 'line too long', line: longLine}]);
+            next();
+        });
+    },
+    // The rest of a line that is too long is skipped up to the end of the stream
+    function (next) {
+        var longLine = type1 + new Array(101).join('x');
+        var chunks = [type3 + '\n' + longLine.slice(0, 80), longLine.slice(80)];
+
+        run({maxLineLength: 60}, chunks, function (messages, diagnostics) {
+            assert.deepStrictEqual(_.pluck(messages, 'type'), [3]);
+            assert.deepStrictEqual(diagnostics, [{reason: 'line too long', line: longLine.slice(0, 80)}]);
+            next();
+        });
+    }
+];
+
+(function next(i) {
+    if (i === tests.length) {
+        console.log('stream ok');
+        return;
+    }
+    tests[i](function () { next(i + 1); });
+})(0);
@@ -0,0 +1,146 @@
+/**
+ * Checks the merging of the reports of each vessel by vesselRegistry, and the expiry and listing of the vessels.
+ * The times are passed explicitly so that the tests don't depend on the clock.
+ *
+ *      node test/vesselRegistry.js
+ */
+var assert         = require('assert');
+var _              = require('underscore');
+var aivdmDecode    = require('../bin/aivdmDecode').aivdmDecode;
+var aivdmEncode    = require('../bin/aivdmDecode').aivdmEncode;
+var vesselRegistry = require('../bin/vesselRegistry').vesselRegistry;
+
+var decoder = new aivdmDecode({returnJson: false});
+var encoder = new aivdmEncode();
+
+/**
+ * message
+ * Encodes data and decodes it again, so the registry is given the decoder's output for it
+ */
+function message(data) {
+    var msgData = false;
+
+    _.each(encoder.encode(data), function (sentence) {
+        msgData = decoder.decode(sentence) || msgData;
+    });
+    return msgData;
+}
+
+var position = message({type: 1, mmsi: 235000001, status: 0, turn: 0, speed: 12.3, accuracy: true, lon: -1.5,
+    lat: 50.75, course: 90.5, heading: 91, second: 30});
+var voyage = message({type: 5, mmsi: 235000001, ais_version: 0, imo: 9123456, callsign: 'GABC1', shipname: 'SEA ONE',
+    shiptype: 70, to_bow: 100, to_stern: 20, to_port: 10, to_starboard: 10, epfd: 1, month: 6, day: 15, hour: 12,
+    minute: 30, draught: 7.5, destination: 'SOUTHAMPTON', dte: 0});
+var partA = message({type: 24, part: 'A', mmsi: 235000002, shipname: 'CLASS B'});
+var partB = message({type: 24, part: 'B', mmsi: 235000002, shiptype: 37, vendorid: 'ABC',
+    callsign: 'MCLB1', to_bow: 5, to_stern: 4, to_port: 1, to_starboard: 2});
+var blank19 = message({type: 19, mmsi: 235000001, speed: 5, accuracy: false, lon: -1.6, lat: 50.8, course: 180,
+    heading: 181, second: 40, shipname: '', shiptype: 0, to_bow: 100, to_stern: 20, to_port: 10, to_starboard: 10,
+    epfd: 1, raim: false, dte: 0, assigned: false});
+
+// Position and static data are merged per mmsi
+(function () {
+    var registry = new vesselRegistry();
+    var vessel;
+
+    assert.strictEqual(registry.update(position, 1000).mmsi, 235000001);
+    registry.update(voyage, 2000);
+    vessel = registry.get(235000001, 2000);
+    assert.strictEqual(vessel.position.type, 1);
+    assert.strictEqual(vessel.position.speed, 12.3);
+    assert.strictEqual(vessel.position.lat, 50.75);
+    assert.strictEqual(vessel.static.shipname, 'SEA ONE');
+    assert.strictEqual(vessel.static.destination, 'SOUTHAMPTON');
+    assert.strictEqual(vessel.positionTime, 1000);
+    assert.strictEqual(vessel.staticTime, 2000);
+    assert.strictEqual(vessel.lastUpdate, 2000);
+    assert.strictEqual(vessel.mid, position.mid);
+    assert.strictEqual(vessel.own_ship, false);
+})();
+
+// Type 24 Part A and Part B are merged into one static
+(function () {
+    var registry = new vesselRegistry();
+    var vessel;
+
+    registry.update(partA, 1000);
+    registry.update(partB, 2000);
+    vessel = registry.get(235000002, 2000);
+    assert.strictEqual(vessel.position, null);
+    assert.strictEqual(vessel.positionTime, null);
+    assert.strictEqual(vessel.static.shipname, 'CLASS B');
+    assert.strictEqual(vessel.static.callsign, 'MCLB1');
+    assert.strictEqual(vessel.static.shiptype, 37);
+    assert.strictEqual(vessel.static.vendorid, 'ABC');
+    assert.strictEqual(vessel.static.to_bow, 5);
+    assert.strictEqual(vessel.staticTime, 2000);
+})();
+
+// A type 19 with a blank name and type doesn't overwrite those of a type 5, but its position is taken
+(function () {
+    var registry = new vesselRegistry();
+    var vessel;
+
+    registry.update(voyage, 1000);
+    registry.update(blank19, 2000);
+    vessel = registry.get(235000001, 2000);
+    assert.strictEqual(vessel.static.shipname, 'SEA ONE');
+    assert.strictEqual(vessel.static.shiptype, 70);
+    assert.strictEqual(vessel.static.shiptype_text, voyage.shiptype_text);
+    assert.strictEqual(vessel.static.destination, 'SOUTHAMPTON');
+    assert.strictEqual(vessel.position.type, 19);
+    assert.strictEqual(vessel.position.lat, 50.8);
+})();
+
+// Messages that don't report a vessel are ignored
+(function () {
+    var registry = new vesselRegistry();
+
+    assert.strictEqual(registry.update(message({type: 20, mmsi: 2300001, offset1: 0, number1: 1, timeout1: 0,
+        increment1: 0}), 1000), false);
+    assert.deepStrictEqual(registry.list(null, 1000), []);
+})();
+
+// Vessels are dropped after maxAge
+(function () {
+    var registry = new vesselRegistry({maxAge: 60000});
+
+    registry.update(position, 1000);
+    registry.update(partA, 30000);
+    assert.strictEqual(registry.get(235000001, 61000).mmsi, 235000001);
+    assert.strictEqual(registry.get(235000001, 61001), null);
+    assert.deepStrictEqual(_.pluck(registry.list(null, 61001), 'mmsi'), [235000002]);
+    assert.deepStrictEqual(registry.list(null, 90001), []);
+})();
+
+// get() takes the mmsi as a number or a string
+(function () {
+    var registry = new vesselRegistry();
+
+    registry.update(position, 1000);
+    assert.strictEqual(registry.get('235000001', 1000).mmsi, 235000001);
+    assert.strictEqual(registry.get('235000009', 1000), null);
+})();
+
+// list() is in mmsi order and filtered by the filter
+(function () {
+    var registry = new vesselRegistry();
+    var moving = function (vessel) { return vessel.position !== null && vessel.position.speed > 0.5; };
+
+    registry.update(partA, 1000);
+    registry.update(position, 2000);
+    registry.update(message({type: 18, mmsi: 211000001, speed: 0, accuracy: false, lon: 8.5, lat: 53.5, course: 0,
+        heading: 511, second: 10, raim: false, radio: 0}), 3000);
+    assert.deepStrictEqual(_.pluck(registry.list(null, 3000), 'mmsi'), [211000001, 235000001, 235000002]);
+    assert.deepStrictEqual(_.pluck(registry.list(moving, 3000), 'mmsi'), [235000001]);
+})();
+
+// decode() updates the registry from a line
+(function () {
+    var registry = new vesselRegistry();
+
+    assert.strictEqual(registry.decode('!AIVDM,1,1,,B,15DbCb0PAgbmOBsdJb7AJ@ib00SM,0*34').mmsi, 357209000);
+    assert.strictEqual(registry.list().length, 1);
+})();
+
+console.log('vesselRegistry ok');